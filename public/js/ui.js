@@ -10,13 +10,21 @@ const JOB_LABELS = {
     artist_full:         'Full Artist Fetch',
     artist_releases:     'Artist Releases',
     release_tracks:      'Track Data',
-    image_download:      'Image Download'
+    image_download:      'Image Download',
+    refresh_artist:      'Artist Refresh'
 };
 
 // UI management functions
 const ui = {
     refreshInterval: null,
     logPollInterval: null,
+    jobFilter: { status: '', type: '' },
+    jobOffset: 0,
+    jobPageSize: 50,
+    expandedJobs: new Set(), // job ids as strings — BIGSERIAL ids arrive as strings from the API
+    jobDetails: new Map(),
+    artistProgress: new Map(),
+    openJobTrees: new Map(),
     logPaused: false,
     logTailLines: 500,
     currentLogLineCount: 0,
@@ -53,6 +61,18 @@ const ui = {
                 const iconHtml = icon.startsWith('http') 
                     ? `<img src="${icon}" alt="${provider.name}" style="width: 24px; height: 24px;" onerror="this.style.display='none'; this.nextElementSibling.style.display='inline';"><span style="display:none;">🎵</span>`
                     : icon;
+                const limiter = provider.rateLimiter;
+                let statusText = limiter && limiter.throttled
+                    ? `Throttled (${limiter.currentPerSecond}/${limiter.allowedPerSecond} req/s)`
+                    : 'Connected';
+
+                // Failover backends: which one served the last request, and any that are down
+                if (provider.servers && provider.servers.length > 1) {
+                    const last = provider.recentRequests && provider.recentRequests[0];
+                    const down = provider.servers.filter(s => !s.healthy).map(s => s.name);
+                    statusText = last ? `Via ${this.escapeHtml(last.server)}` : statusText;
+                    if (down.length > 0) statusText += ` · ${this.escapeHtml(down.join(', '))} down`;
+                }
                 
                 return `
                     <div class="provider-card-simple">
@@ -61,7 +81,7 @@ const ui = {
                             <div class="provider-name">${provider.name.charAt(0).toUpperCase() + provider.name.slice(1)}</div>
                             <div class="provider-status-simple">
                                 <span class="status-dot connected"></span>
-                                Connected
+                                ${statusText}
                             </div>
                         </div>
                     </div>
@@ -124,6 +144,19 @@ const ui = {
                 : `${imgMb} MB`;
             document.getElementById('dashboardImageCount').textContent = stats.database.images.toLocaleString();
             document.getElementById('dashboardImageSize').textContent = imgSize;
+
+            // Bulk TTL refresh
+            const bulk = stats.bulkRefresh || {};
+            const lastRun = bulk.lastRun;
+            document.getElementById('dashboardBulkLast').textContent = lastRun
+                ? new Date(lastRun.completedAt || lastRun.startedAt).toLocaleString()
+                : 'Never';
+            document.getElementById('dashboardBulkLastCount').textContent = lastRun
+                ? `${lastRun.artistsQueued || 0} artists queued`
+                : '';
+            document.getElementById('dashboardBulkNext').textContent = bulk.running
+                ? 'Running'
+                : bulk.nextRun ? new Date(bulk.nextRun).toLocaleString() : 'Disabled';
         } catch (error) {
             console.error('Failed to refresh dashboard stats:', error);
         }
@@ -225,6 +258,120 @@ const ui = {
 
         // Load metadata tree
         await this.loadMetadataTree();
+        await this.loadLabelBrowser();
+    },
+
+    async loadLabelBrowser() {
+        const container = document.getElementById('labelBrowser');
+        container.innerHTML = '<p>Loading labels...</p>';
+
+        try {
+            const labels = await fetch('/api/metadata/labels').then(r => r.json());
+            if (labels.length === 0) {
+                container.innerHTML = '<p>No labels in database</p>';
+                return;
+            }
+
+            let html = `
+                <div class="metadata-table-wrapper">
+                    <table class="metadata-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>MBID</th>
+                                <th>Type</th>
+                                <th>Country</th>
+                                <th>Albums</th>
+                                <th>Releases</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+            `;
+            for (const label of labels) {
+                html += `
+                    <tr class="level-0" style="cursor: pointer;" onclick="ui.showLabel('${label.mbid}')">
+                        <td>${this.escapeHtml(label.name)}</td>
+                        <td><a href="https://musicbrainz.org/label/${label.mbid}" target="_blank" class="mbid-link" onclick="event.stopPropagation()" title="View on MusicBrainz">${label.mbid.substring(0, 8)}...</a></td>
+                        <td>${label.type || '-'}</td>
+                        <td>${label.country || '-'}</td>
+                        <td>${label.album_count}</td>
+                        <td>${label.release_count}</td>
+                    </tr>
+                `;
+            }
+            html += `
+                        </tbody>
+                    </table>
+                </div>
+            `;
+            container.innerHTML = html;
+        } catch (error) {
+            console.error('Failed to load labels:', error);
+            container.innerHTML = '<p class="alert alert-danger">Failed to load labels</p>';
+        }
+    },
+
+    async showLabel(mbid) {
+        const container = document.getElementById('labelDetail');
+        container.innerHTML = '<p>Loading label...</p>';
+
+        try {
+            const response = await fetch(`/api/label/${mbid}`);
+            const label = await response.json();
+            if (!response.ok) throw new Error(label.error || 'Failed to load label');
+
+            const details = [label.type, label.country, label.label_code ? `LC ${label.label_code}` : null]
+                .filter(Boolean).join(' · ');
+            const links = (label.links || [])
+                .map(l => `<a href="${this.escapeHtml(l.target)}" target="_blank">${this.escapeHtml(l.type)}</a>`)
+                .join(' · ');
+
+            let html = `
+                <h3 style="margin-top: 1.5rem;">${this.escapeHtml(label.name)}</h3>
+                <p style="color: var(--text-secondary);">${this.escapeHtml(details)}</p>
+                ${links ? `<p>${links}</p>` : ''}
+                <div class="metadata-table-wrapper">
+                    <table class="metadata-table">
+                        <thead>
+                            <tr>
+                                <th>Release</th>
+                                <th>Artist</th>
+                                <th>Catalog #</th>
+                                <th>Date</th>
+                                <th>Country</th>
+                                <th>Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+            `;
+            for (const release of label.releases) {
+                const artist = (release.artist_credit || [])
+                    .map(ac => (ac.name || ac.artist?.name || '') + (ac.joinphrase || '')).join('');
+                html += `
+                    <tr class="level-0">
+                        <td>${this.escapeHtml(release.title)}</td>
+                        <td>${this.escapeHtml(artist) || '-'}</td>
+                        <td>${this.escapeHtml(release.catalog_number || '-')}</td>
+                        <td>${release.release_date ? new Date(release.release_date).toLocaleDateString() : '-'}</td>
+                        <td>${release.country || '-'}</td>
+                        <td>${release.status || '-'}</td>
+                    </tr>
+                `;
+            }
+            if (label.releases.length === 0) {
+                html += '<tr><td colspan="6" style="color: var(--text-secondary); font-style: italic;">No cached releases on this label</td></tr>';
+            }
+            html += `
+                        </tbody>
+                    </table>
+                </div>
+            `;
+            container.innerHTML = html;
+        } catch (error) {
+            console.error('Failed to load label:', error);
+            container.innerHTML = '';
+            this.showError(`Failed to load label: ${error.message}`);
+        }
     },
 
     async loadMetadataTree() {
@@ -367,13 +514,25 @@ const ui = {
             const data = await response.json();
             const albums = data.albums;
 
+            // Members / member-of line above the albums
+            let anchor = row;
+            const relationshipsHtml = this.formatArtistRelationships(data.relationships);
+            if (relationshipsHtml) {
+                const relRow = document.createElement('tr');
+                relRow.className = 'level-1';
+                relRow.setAttribute('data-parent-artist', artistMbid);
+                relRow.innerHTML = `<td colspan="9" style="color: var(--text-secondary); font-size: 0.85em;">${relationshipsHtml}</td>`;
+                row.insertAdjacentElement('afterend', relRow);
+                anchor = relRow;
+            }
+
             if (albums.length === 0) {
                 // Insert "no albums" row
                 const noAlbumsRow = document.createElement('tr');
                 noAlbumsRow.className = 'level-1';
                 noAlbumsRow.setAttribute('data-parent-artist', artistMbid);
                 noAlbumsRow.innerHTML = '<td colspan="9" style="color: var(--text-secondary); font-style: italic;">No albums</td>';
-                row.insertAdjacentElement('afterend', noAlbumsRow);
+                anchor.insertAdjacentElement('afterend', noAlbumsRow);
                 return;
             }
 
@@ -434,12 +593,12 @@ const ui = {
                 const typeLabel = typeFilter === 'all' ? '' : typeFilter + ' ';
                 const statusLabel = statusFilter === 'all' ? '' : statusFilter + ' ';
                 noAlbumsRow.innerHTML = `<td colspan="9" style="color: var(--text-secondary); font-style: italic;">No ${statusLabel}${typeLabel}albums found in database, try fetching from MusicBrainz...</td>`;
-                row.insertAdjacentElement('afterend', noAlbumsRow);
+                anchor.insertAdjacentElement('afterend', noAlbumsRow);
                 return;
             }
 
             // Insert album rows after artist row
-            let insertAfter = row;
+            let insertAfter = anchor;
             for (const album of filteredAlbums) {
                 const albumRow = document.createElement('tr');
                 albumRow.className = 'level-1 album-row';
@@ -472,6 +631,28 @@ const ui = {
         }
     },
 
+    formatArtistRelationships(relationships) {
+        if (!relationships) return '';
+        const year = date => date ? date.slice(0, 4) : '';
+        const span = r => r.begin_date || r.end_date ? ` (${year(r.begin_date)}–${year(r.end_date)})` : '';
+
+        const lines = [];
+        if (relationships.members.length > 0) {
+            lines.push('Members: ' + relationships.members
+                .map(m => this.escapeHtml(m.member_name) + span(m)).join(', '));
+        }
+        if (relationships.groups.length > 0) {
+            lines.push('Member of: ' + relationships.groups
+                .map(g => this.escapeHtml(g.group_name) + span(g)).join(', '));
+        }
+        const collaborations = relationships.other.filter(r => r.relation_type === 'collaboration');
+        if (collaborations.length > 0) {
+            lines.push('Collaborations: ' + collaborations
+                .map(c => this.escapeHtml(c.related_name)).join(', '));
+        }
+        return lines.join('<br>');
+    },
+
     async toggleAlbumExpand(albumMbid) {
         const row = document.querySelector(`tr[data-album-id="${albumMbid}"]`);
         const icon = row.querySelector('.expand-icon');
@@ -514,8 +695,8 @@ const ui = {
                 const duration = track.length_ms ? this.formatDuration(track.length_ms / 1000) : '-';
                 
                 trackRow.innerHTML = `
-                    <td>${position}. ${this.escapeHtml(track.title)}</td>
-                    <td colspan="7"></td>
+                    <td>${position}. ${this.escapeHtml(track.title)}${track.is_video ? ' <span style="color: var(--text-secondary);">(video)</span>' : ''}</td>
+                    <td colspan="7" style="color: var(--text-secondary); font-size: 0.85em;">${this.formatTrackCredits(track)}</td>
                     <td>${duration}</td>
                 `;
                 
@@ -529,6 +710,25 @@ const ui = {
         }
     },
 
+    // Work credits (composer, lyricist...) and ISRCs for the metadata browser track rows
+    formatTrackCredits(track) {
+        const parts = [];
+        const roles = new Map();
+        for (const work of track.works || []) {
+            for (const credit of work.credits || []) {
+                if (!roles.has(credit.role)) roles.set(credit.role, new Set());
+                roles.get(credit.role).add(credit.name);
+            }
+        }
+        for (const [role, names] of roles) {
+            parts.push(`${this.escapeHtml(role)}: ${this.escapeHtml([...names].join(', '))}`);
+        }
+        if (track.isrcs && track.isrcs.length > 0) {
+            parts.push(`ISRC: ${this.escapeHtml(track.isrcs.join(', '))}`);
+        }
+        return parts.join(' · ');
+    },
+
     formatDuration(seconds) {
         const mins = Math.floor(seconds / 60);
         const secs = Math.floor(seconds % 60);
@@ -601,6 +801,7 @@ const ui = {
             `;
             tbody.appendChild(row);
         }
+        this.renderArtistProgress();
     },
 
     filterMetadataTree() {
@@ -705,6 +906,7 @@ const ui = {
             
             tbody.appendChild(row);
         }
+        this.renderArtistProgress();
     },
 
     async refreshArtistMetadata(mbid) {
@@ -724,6 +926,7 @@ const ui = {
             if (!response.ok) throw new Error('Fetch failed');
             
             this.showSuccess('Artist fetch queued');
+            await this.refreshArtistProgress();
         } catch (error) {
             console.error('Failed to fetch artist:', error);
             this.showError('Failed to fetch artist metadata');
@@ -1385,19 +1588,35 @@ const ui = {
 
     async refreshJobsCard() {
         try {
-            const response = await fetch('/api/jobs/recent?type=metadata');
-            const jobs = await response.json();
+            const params = new URLSearchParams({ limit: this.jobPageSize, offset: this.jobOffset });
+            if (this.jobFilter.status) params.set('status', this.jobFilter.status);
+            if (this.jobFilter.type) params.set('type', this.jobFilter.type);
+            const response = await fetch(`/api/jobs?${params}`);
+            const { total, jobs } = await response.json();
             const container = document.getElementById('jobQueueCard');
             if (!container) return;
 
+            // The last page emptied (jobs cleaned up or cancelled) — go back to the first
+            if (jobs.length === 0 && this.jobOffset > 0) {
+                this.jobOffset = 0;
+                return this.refreshJobsCard();
+            }
+
+            this._updateJobPager(total, jobs.length);
+
             if (jobs.length === 0) {
                 this.jobsHasActive = false;
-                container.innerHTML = '<div class="job-queue-empty">No jobs yet</div>';
+                container.innerHTML = `<div class="job-queue-empty">${this.jobFilter.status || this.jobFilter.type ? 'No matching jobs' : 'No jobs yet'}</div>`;
                 return;
             }
 
             this.jobsHasActive = jobs.some(j => j.status === 'processing' || j.status === 'pending');
 
+            // Keep open detail panels current across polls
+            await Promise.all(jobs
+                .filter(job => this.expandedJobs.has(String(job.id)))
+                .map(job => this._loadJobDetail(String(job.id))));
+
             container.innerHTML = jobs.map(job => {
                 const label = JOB_LABELS[job.job_type] || job.job_type;
                 const mbidShort = job.entity_mbid.substring(0, 8);
@@ -1411,43 +1630,35 @@ const ui = {
                                   : 'job-bar-pending';
                 const fillPct     = isDone || isFailed ? '100%' : isProcessing ? '60%' : '0%';
 
-                // For image downloads, show cover type and provider instead of album/release/track counts
-                let detailHtml = '';
-                if (job.job_type === 'image_download') {
-                    const parts = [];
-                    if (job.cover_type) parts.push(job.cover_type);
-                    if (job.image_provider) parts.push(job.image_provider);
-                    if (parts.length > 0) {
-                        detailHtml = `<div class="job-counts"><span>${parts.join(' · ')}</span></div>`;
-                    }
-                } else {
-                    const albumCount   = parseInt(job.album_count) || 0;
-                    const releaseCount = parseInt(job.release_count) || 0;
-                    const trackCount   = parseInt(job.track_count) || 0;
-                    const hasCounts    = albumCount > 0 || releaseCount > 0 || trackCount > 0;
-                    detailHtml = hasCounts ? `
-                        <div class="job-counts">
-                            ${albumCount   > 0 ? `<span>${albumCount} albums</span>` : ''}
-                            ${releaseCount > 0 ? `<span>${releaseCount} releases</span>` : ''}
-                            ${trackCount   > 0 ? `<span>${trackCount} tracks</span>` : ''}
-                        </div>` : '';
-                }
-
                 const artistPrefix = job.artist_name
                     ? `<span class="job-artist-name">${this.escapeHtml(job.artist_name)}</span> — `
                     : '';
 
+                const notes = [];
+                if (job.attempts > 1 || isFailed) notes.push(`attempt ${job.attempts}/${job.max_attempts}`);
+                if (job.status === 'pending' && job.next_attempt_at && new Date(job.next_attempt_at) > new Date()) {
+                    notes.push(`retry at ${new Date(job.next_attempt_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}`);
+                }
+                if (job.priority) notes.push(`priority ${job.priority}`);
+                const notesHtml = notes.length > 0
+                    ? `<div class="job-counts">${notes.map(n => `<span>${n}</span>`).join('')}</div>`
+                    : '';
+
                 return `
                     <div class="job-row">
                         <div class="job-row-header">
                             <span class="job-time">${new Date(job.created_at).toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' + new Date(job.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}</span>
-                            <span class="job-label">${artistPrefix}${this.escapeHtml(displayName)} <span class="job-type-badge">${label}</span></span>
-                            <span class="job-status job-status-${job.status}">${job.status}</span>
+                            <span class="job-label job-label-toggle" onclick="ui.toggleJobDetail('${job.id}')" title="Show details">${artistPrefix}${this.escapeHtml(displayName)} <span class="job-type-badge">${label}</span></span>
+                            <span class="job-header-right">
+                                ${this._jobActionsHtml(job)}
+                                <span class="job-status job-status-${job.status}">${job.status}</span>
+                            </span>
                         </div>
                         <div class="job-bar-track">
                             <div class="job-bar ${barClass} ${isProcessing ? 'job-bar-animated' : ''}" style="width: ${fillPct}"></div>
                         </div>
-                        ${detailHtml}
+                        ${notesHtml}
+                        ${this.expandedJobs.has(String(job.id)) ? this._jobDetailHtml(this.jobDetails.get(String(job.id))) : ''}
                     </div>`;
             }).join('');
         } catch (error) {
@@ -1455,6 +1666,135 @@ const ui = {
         }
     },
 
+    _jobActionsHtml(job) {
+        const actions = [];
+        if (job.status === 'failed') {
+            actions.push(`<button class="job-action" onclick="ui.retryJob(${job.id})">Retry</button>`);
+            if (job.root_artist_mbid) {
+                actions.push(`<button class="job-action" onclick="ui.retryJobTree('${job.root_artist_mbid}')" title="Retry every failed job for this artist">Retry tree</button>`);
+            }
+        }
+        if (job.status === 'pending') {
+            actions.push(`<button class="job-action" onclick="ui.changeJobPriority(${job.id}, ${job.priority + 1})" title="Raise priority">&uarr;</button>`);
+            actions.push(`<button class="job-action" onclick="ui.changeJobPriority(${job.id}, ${job.priority - 1})" title="Lower priority">&darr;</button>`);
+        }
+        if (job.status === 'pending' || job.status === 'processing') {
+            actions.push(`<button class="job-action job-action-danger" onclick="ui.cancelJob(${job.id})">Cancel</button>`);
+        }
+        return actions.join('');
+    },
+
+    _jobDetailHtml(detail) {
+        if (!detail) return '<div class="job-detail">Loading...</div>';
+
+        const time = value => value ? new Date(value).toLocaleString() : '—';
+        const children = Object.entries(detail.children)
+            .filter(([, n]) => n > 0)
+            .map(([status, n]) => `${n} ${status}`)
+            .join(', ');
+        const errors = detail.errors.length > 0
+            ? `<ol class="job-errors">${detail.errors.map(e =>
+                `<li>${time(e.failed_at)} — attempt ${e.attempt}: ${this.escapeHtml(e.error_message || '')}</li>`).join('')}</ol>`
+            : '';
+
+        return `
+            <div class="job-detail">
+                <dl class="job-detail-grid">
+                    <dt>Job</dt><dd>#${detail.id} ${this.escapeHtml(detail.job_type)}</dd>
+                    <dt>Entity</dt><dd>${this.escapeHtml(detail.entity_type)} ${detail.entity_mbid}</dd>
+                    <dt>Priority</dt><dd>${detail.priority}</dd>
+                    <dt>Attempts</dt><dd>${detail.attempts}/${detail.max_attempts}</dd>
+                    <dt>Created</dt><dd>${time(detail.created_at)}</dd>
+                    <dt>Started</dt><dd>${time(detail.started_at)}</dd>
+                    <dt>Completed</dt><dd>${time(detail.completed_at)}</dd>
+                    ${detail.next_attempt_at ? `<dt>Next attempt</dt><dd>${time(detail.next_attempt_at)}</dd>` : ''}
+                    ${children ? `<dt>Child jobs</dt><dd>${children}</dd>` : ''}
+                    ${detail.error_message ? `<dt>Last error</dt><dd>${this.escapeHtml(detail.error_message)}</dd>` : ''}
+                </dl>
+                ${errors}
+            </div>`;
+    },
+
+    async _loadJobDetail(jobId) {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        if (!response.ok) {
+            this.expandedJobs.delete(jobId);
+            this.jobDetails.delete(jobId);
+            return;
+        }
+        this.jobDetails.set(jobId, await response.json());
+    },
+
+    async toggleJobDetail(jobId) {
+        jobId = String(jobId);
+        if (this.expandedJobs.has(jobId)) {
+            this.expandedJobs.delete(jobId);
+            this.jobDetails.delete(jobId);
+        } else {
+            this.expandedJobs.add(jobId);
+        }
+        await this.refreshJobsCard();
+    },
+
+    _updateJobPager(total, shown) {
+        const info = document.getElementById('jobPageInfo');
+        if (!info) return;
+        info.textContent = total > 0 ? `${this.jobOffset + 1}–${this.jobOffset + shown} of ${total}` : '';
+        document.getElementById('jobPrevPage').disabled = this.jobOffset === 0;
+        document.getElementById('jobNextPage').disabled = this.jobOffset + shown >= total;
+    },
+
+    async applyJobFilter() {
+        this.jobFilter = {
+            status: document.getElementById('jobStatusFilter').value,
+            type: document.getElementById('jobTypeFilter').value
+        };
+        this.jobOffset = 0;
+        await this.refreshJobsCard();
+    },
+
+    async changeJobPage(direction) {
+        this.jobOffset = Math.max(this.jobOffset + direction * this.jobPageSize, 0);
+        await this.refreshJobsCard();
+    },
+
+    // POST a job action and refresh the card; the API answers errors with { error }
+    async _postJobAction(url, body, successMessage) {
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body || {})
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                this.showError(data.error || 'Job action failed');
+            } else if (successMessage) {
+                this.showSuccess(typeof successMessage === 'function' ? successMessage(data) : successMessage);
+            }
+        } catch (e) {
+            this.showError('Job action failed');
+        }
+        await this.refreshJobsCard();
+    },
+
+    async retryJob(jobId) {
+        await this._postJobAction(`/api/jobs/${jobId}/retry`, null, `Job ${jobId} queued for retry`);
+    },
+
+    async retryJobTree(artistMbid) {
+        await this._postJobAction(`/api/jobs/tree/${artistMbid}/retry`, null, data => `Retrying ${data.retried} failed job(s)`);
+    },
+
+    async cancelJob(jobId) {
+        if (!confirm(`Cancel job ${jobId}?`)) return;
+        await this._postJobAction(`/api/jobs/${jobId}/cancel`, null, `Job ${jobId} cancelled`);
+    },
+
+    async changeJobPriority(jobId, priority) {
+        await this._postJobAction(`/api/jobs/${jobId}/priority`, { priority });
+    },
+
     async refreshDownloadJobsCard() {
         try {
             const response = await fetch('/api/jobs/recent?type=downloads');
@@ -1584,7 +1924,7 @@ const ui = {
     },
 
     async killActiveJobs() {
-        if (!confirm('Mark all active (processing) jobs as failed? In-flight operations will still complete but results will be discarded.')) return;
+        if (!confirm('Mark all active (processing) jobs as failed? Running album fetches are stopped; other jobs finish their current work.')) return;
         try {
             const response = await fetch('/api/jobs/kill-active', { method: 'POST' });
             const data = await response.json();
@@ -1635,6 +1975,90 @@ const ui = {
         }
     },
 
+    // ─── Artist Fetch Progress ───────────────────────────────────────────────
+
+    async refreshArtistProgress() {
+        try {
+            const response = await fetch('/api/jobs/trees');
+            const trees = await response.json();
+            this.artistProgress = new Map(trees.map(tree => [tree.artist_mbid, tree]));
+
+            // Open tree views stay current until their artist finishes
+            for (const mbid of [...this.openJobTrees.keys()]) {
+                if (this.artistProgress.has(mbid)) await this._loadJobTree(mbid);
+                else this.openJobTrees.delete(mbid);
+            }
+            this.renderArtistProgress();
+        } catch (error) {
+            console.error('Failed to refresh artist progress:', error);
+        }
+    },
+
+    renderArtistProgress() {
+        document.querySelectorAll('#metadataTableBody .artist-row').forEach(row => {
+            const mbid = row.getAttribute('data-artist-id');
+            const cell = row.querySelector('td');
+            let el = cell.querySelector('.artist-progress');
+            const tree = this.artistProgress.get(mbid);
+
+            if (!tree) {
+                if (el) el.remove();
+                return;
+            }
+            if (!el) {
+                el = document.createElement('div');
+                el.className = 'artist-progress';
+                cell.appendChild(el);
+            }
+
+            const { counts } = tree;
+            const summary = [`${counts.completed + counts.failed}/${tree.total} jobs`];
+            if (counts.failed > 0) summary.push(`${counts.failed} failed`);
+            if (tree.eta_seconds !== null) summary.push(`~${this._formatDuration(tree.eta_seconds)} left`);
+
+            el.innerHTML = `
+                <div class="artist-progress-bar" onclick="ui.toggleJobTree('${mbid}')" title="Show job tree">
+                    <div class="job-bar-track"><div class="job-bar job-bar-processing job-bar-animated" style="width: ${tree.percent}%"></div></div>
+                    <span class="artist-progress-text">${tree.percent}% · ${summary.join(' · ')}</span>
+                </div>
+                ${this.openJobTrees.has(mbid) ? this._jobTreeHtml(this.openJobTrees.get(mbid)) : ''}`;
+        });
+    },
+
+    async toggleJobTree(mbid) {
+        if (this.openJobTrees.has(mbid)) {
+            this.openJobTrees.delete(mbid);
+        } else {
+            await this._loadJobTree(mbid);
+        }
+        this.renderArtistProgress();
+    },
+
+    async _loadJobTree(mbid) {
+        const response = await fetch(`/api/jobs/tree/${mbid}`);
+        if (response.ok) this.openJobTrees.set(mbid, await response.json());
+    },
+
+    _jobTreeHtml(tree) {
+        const renderNode = node => {
+            const label = JOB_LABELS[node.job_type] || node.job_type;
+            const name = node.entity_type === 'artist' ? '' : ` ${this.escapeHtml(node.entity_name || node.entity_mbid.substring(0, 8))}`;
+            const took = node.duration_ms !== null ? ` <span class="job-tree-time">${this._formatDuration(Math.round(node.duration_ms / 1000))}</span>` : '';
+            const children = node.children.length > 0 ? `<ul>${node.children.map(renderNode).join('')}</ul>` : '';
+            return `<li><span class="job-status job-status-${node.status}">${node.status}</span> ${label}${name}${took}${children}</li>`;
+        };
+        const downloads = tree.image_downloads_pending > 0
+            ? `<div class="job-tree-time">${tree.image_downloads_pending} image download(s) pending</div>`
+            : '';
+        return `<ul class="job-tree">${tree.jobs.map(renderNode).join('')}</ul>${downloads}`;
+    },
+
+    _formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+        return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    },
+
     startAutoRefresh() {
         // Stats always poll at 1s
         this.refreshInterval = setInterval(() => {
@@ -1663,6 +2087,16 @@ const ui = {
             this.connectionsRefreshTimeout = setTimeout(pollConnections, 2000);
         };
         pollConnections();
+
+        // Artist fetch progress: poll at 2s while trees are running, 10s otherwise, on the browser tab
+        const pollArtistProgress = async () => {
+            if (document.getElementById('browser-tab').classList.contains('active')) {
+                await this.refreshArtistProgress();
+            }
+            const interval = this.artistProgress.size > 0 ? 2000 : 10000;
+            this.artistProgressTimeout = setTimeout(pollArtistProgress, interval);
+        };
+        pollArtistProgress();
     },
 
     stopAutoRefresh() {
@@ -1678,6 +2112,10 @@ const ui = {
             clearTimeout(this.connectionsRefreshTimeout);
             this.connectionsRefreshTimeout = null;
         }
+        if (this.artistProgressTimeout) {
+            clearTimeout(this.artistProgressTimeout);
+            this.artistProgressTimeout = null;
+        }
     },
 
     showSuccess(message) {
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const { logger } = require('./lib/logger');
+const config = require('./lib/config');
+const database = require('./sql/database');
+const dumpImporter = require('./lib/dumpImporter');
+
+/**
+ * Offline import of MusicBrainz JSON data dumps
+ *
+ *   npm run import -- --dir /data/mbdump --artists <mbid,mbid,...|file>
+ *   npm run import -- --dir /data/mbdump --mbids <mbid,mbid,...|file>
+ *   npm run import -- --dir /data/mbdump --all
+ *
+ * A list argument is either comma-separated MBIDs or a path to a file with one MBID per line.
+ */
+
+const USAGE = 'Usage: node server/import.js --dir <mbdump dir> (--artists <list|file> | --mbids <list|file> | --all)';
+
+function parseArgs(argv) {
+  const args = { mbids: [], artists: [], all: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--dir': args.dir = argv[++i]; break;
+      case '--mbids': args.mbids.push(...readIdList(argv[++i])); break;
+      case '--artists': args.artists.push(...readIdList(argv[++i])); break;
+      case '--all': args.all = true; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!args.dir) throw new Error('--dir is required');
+  return args;
+}
+
+function readIdList(value) {
+  if (!value) throw new Error('Missing MBID list');
+  const text = fs.existsSync(value) ? fs.readFileSync(value, 'utf8') : value;
+  return text.split(/[\s,]+/).map(id => id.trim()).filter(Boolean);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  try {
+    await config.load();
+    await database.initialize();
+    await dumpImporter.run(args);
+  } catch (error) {
+    logger.error('Dump import failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+  }
+}
+
+main();
@@ -12,11 +12,13 @@ const { logConnection, init: initRequestLog } = require('./lib/request');
 const metaHandler = require('./lib/metaHandler');
 const { registry } = require('./lib/providerRegistry');
 const { initializeProviders } = require('./lib/providerRegistry');
-const { lidarrSearch } = require('./lib/search');
+const { lidarrSearch, startSearchCacheCleanup, stopSearchCacheCleanup } = require('./lib/search');
 const backgroundJobQueue = require('./lib/backgroundJobQueue');
 const { processJob } = require('./lib/jobProcessor');
 const imageDownloadQueue = require('./lib/imageDownloadQueue');
+const bulkRefresher = require('./lib/bulkRefresher');
 const lidarrClient = require('./lib/lidarrClient');
+const lidarr = require('./lib/lidarr');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -48,10 +50,24 @@ app.use((req, res, next) => {
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Lidarr API Routes (at root level, no /api prefix)
-app.get('/artist/:mbid', async (req, res) => {
+// Mounted twice: at / and at /profile/:profile, so each Lidarr instance can point its
+// metadata source at its own profile. ?profile=<name> works on either mount.
+const lidarrRoutes = express.Router({ mergeParams: true });
+
+lidarrRoutes.use(['/artist', '/album', '/search'], (req, res, next) => {
+  const requested = req.params.profile || req.query.profile;
+  const profile = lidarr.getProfile(requested);
+  if (!profile) {
+    return res.status(404).json({ error: `Unknown metadata profile: ${requested}` });
+  }
+  req.metadataProfile = profile;
+  next();
+});
+
+lidarrRoutes.get('/artist/:mbid', async (req, res) => {
   try {
     const { mbid } = req.params;
-    logger.info(`Lidarr artist request: ${mbid}`);
+    logger.info(`Lidarr artist request: ${mbid} (profile=${req.metadataProfile.name})`);
     const formatted = await metaHandler.ensureArtist(mbid);
     logConnection({
         direction: 'inbound',
@@ -62,24 +78,27 @@ app.get('/artist/:mbid', async (req, res) => {
 
     // Always queue fetch_artist_albums — queueJob is idempotent, completed jobs are left alone.
     // TTL is a DB concern handled inside ensureArtist; it has no bearing on whether to notify Lidarr.
-    backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', mbid, 1, null, null, mbid)
-      .catch(err => logger.error(`Failed to queue fetch_artist_albums for ${mbid}:`, err));
+    // Jobs are keyed on the canonical MBID so a merged artist never grows a second job tree.
+    const canonicalMbid = formatted.id || mbid;
+    backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', canonicalMbid, 1, null, null, canonicalMbid)
+      .catch(err => logger.error(`Failed to queue fetch_artist_albums for ${canonicalMbid}:`, err));
 
-    res.json(formatted);
+    res.json(lidarr.applyProfileToArtist(formatted, req.metadataProfile));
   } catch (error) {
     logger.error(`Error on artist request ${req.params.mbid}:`, error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/album/:mbid', async (req, res) => {
+lidarrRoutes.get('/album/:mbid', async (req, res) => {
   try {
     const { mbid } = req.params;
-    logger.info(`Lidarr album request: ${mbid}`);
+    logger.info(`Lidarr album request: ${mbid} (profile=${req.metadataProfile.name})`);
     const { formatted, needsFullFetch } = await metaHandler.ensureAlbum(mbid);
     if (needsFullFetch) {
-      backgroundJobQueue.queueJob('fetch_album_full', 'release_group', mbid, 1)
-        .catch(err => logger.error(`Failed to queue fetch_album_full for ${mbid}:`, err));
+      const canonicalMbid = formatted.id || mbid;
+      backgroundJobQueue.queueJob('fetch_album_full', 'release_group', canonicalMbid, 1)
+        .catch(err => logger.error(`Failed to queue fetch_album_full for ${canonicalMbid}:`, err));
     }
     logConnection({
         direction: 'inbound',
@@ -88,7 +107,7 @@ app.get('/album/:mbid', async (req, res) => {
         status: 'ok'
     });
 
-    res.json(formatted);
+    res.json(lidarr.applyProfileToAlbum(formatted, req.metadataProfile));
   } catch (error) {
     logger.error(`Error on album request ${req.params.mbid}:`, error);
     res.status(500).json({ error: error.message });
@@ -96,10 +115,13 @@ app.get('/album/:mbid', async (req, res) => {
 });
 
 // Lidarr search - delegates to search.js, replicates oldLMD /search behavior
-app.get('/search', async (req, res) => {
+lidarrRoutes.get('/search', async (req, res) => {
   try {
-    const { query, type, limit = 10, artist, includeTracks } = req.query;
+    const { query, type, limit = 10, artist, includeTracks, mode } = req.query;
     if (!query) return res.json([]);
+    if (typeof query !== 'string') {
+      return res.status(400).json({ error: 'query must be given once, as a string' });
+    }
     logger.info(`Lidarr search: ${query} (type=${type})`);
     logConnection({
         direction: 'inbound',
@@ -110,7 +132,9 @@ app.get('/search', async (req, res) => {
     const results = await lidarrSearch(query, type, {
       limit: parseInt(limit),
       artist,
-      includeTracks: includeTracks === '1' || includeTracks === 'true'
+      includeTracks: includeTracks === '1' || includeTracks === 'true',
+      profile: req.metadataProfile,
+      mode
     });
     if (results.error) {
       return res.status(results.status).json({ error: results.error });
@@ -122,6 +146,9 @@ app.get('/search', async (req, res) => {
   }
 });
 
+app.use('/profile/:profile', lidarrRoutes);
+app.use(lidarrRoutes);
+
 // API Routes (internal, for Web UI)
 app.use('/api', routes);
 
@@ -174,13 +201,19 @@ async function start() {
     logger.info('Metadata providers initialized');
 
     // Start background job queue (MB + wiki + image worker pools)
-    await backgroundJobQueue.startProcessor(processJob, 1000);
+    await backgroundJobQueue.startProcessor(processJob);
     logger.info('Background job queue started');
 
     // Start image download queue (downloads stored URLs to disk)
-    await imageDownloadQueue.startProcessor(500);
+    await imageDownloadQueue.startProcessor();
     logger.info('Image download queue processor started');
 
+    // Schedule bulk TTL refresh of the cached library
+    await bulkRefresher.start();
+
+    // Expire persisted search results
+    startSearchCacheCleanup();
+
     // Initialize Lidarr integration client
     lidarrClient.initialize();
     if (lidarrClient.enabled) {
@@ -215,6 +248,8 @@ process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
   backgroundJobQueue.stopProcessor();
   imageDownloadQueue.stopProcessor();
+  bulkRefresher.stop();
+  stopSearchCacheCleanup();
   process.exit(0);
 });
 
@@ -222,6 +257,8 @@ process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
   backgroundJobQueue.stopProcessor();
   imageDownloadQueue.stopProcessor();
+  bulkRefresher.stop();
+  stopSearchCacheCleanup();
   process.exit(0);
 });
 
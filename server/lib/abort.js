@@ -0,0 +1,48 @@
+/**
+ * AbortSignal helpers for cancellable jobs
+ *
+ * A running job gets an AbortSignal from the queue and passes it down (metaHandler,
+ * provider requests). Work checks it between steps with signal.throwIfAborted(); waits
+ * that can't be interrupted themselves are wrapped with abortable() so the caller gives
+ * up at once.
+ */
+
+function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.code === 'ERR_CANCELED';
+}
+
+/**
+ * Settles like `promise`, or rejects with the abort reason as soon as `signal` aborts.
+ * The promise itself keeps running — only the wait is cancelled.
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+function sleep(ms, signal = null) {
+  if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = { isAbortError, abortable, sleep };
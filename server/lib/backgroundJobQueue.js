@@ -5,40 +5,74 @@ const { registry } = require('./providerRegistry');
 /**
  * BackgroundJobQueue - Single unified job queue with three independent worker pools
  *
- * Worker pools (all share metadata_jobs table, each polls for its own job types):
- *   mbWorkers    (3) - MB requests + DB writes: artist_full, fetch_album_full, etc.
- *   wikiWorkers  (2) - Wikipedia overview fetches: fetch_artist_wiki, fetch_album_wiki
- *   imageWorkers (2) - Provider image fetches: fetch_artist_images, fetch_album_images
+ * Worker pools (all share metadata_jobs table, each pulls its own job types):
+ *   mb    (1) - MB requests + DB writes: artist_full, fetch_album_full, etc.
+ *   wiki  (2) - Wikipedia overview fetches: fetch_artist_wiki, fetch_album_wiki
+ *   image (2) - Provider image fetches: fetch_artist_images, fetch_album_images
+ *
+ * Dispatch is event-driven: queueJob/forceQueueJob (and retries) NOTIFY the jobs channel
+ * with the job type, and the owning pool pulls jobs until it is full or nothing is pending.
+ * A finished job frees its slot and pulls the next one straight away. A slow fallback poll
+ * covers notifications lost while the listener connection was down.
+ *
+ * A failed job goes back to pending with next_attempt_at pushed out by exponential backoff
+ * (30s, 1m, 2m, ... capped at 1h, with jitter) and a timer wakes the pools when the earliest
+ * one is due — a flapping MB outage spreads its attempts over hours instead of seconds.
+ *
+ * Every running job gets an AbortSignal. Cancelling it (cancelJob, kill-active) aborts the
+ * signal: the album fetch jobs stop at their next request or step and free their worker
+ * slot at once. Other job types finish their current work and keep the slot until then.
  *
  * imageDownloadQueue remains separate — it downloads URLs already stored in the images table.
  */
 
 const MB_JOB_TYPES = [
   'fetch_artist_albums',
-  'fetch_album_full'
+  'fetch_album_full',
+  'refresh_artist',
+  'fetch_artist'
 ];
 
+// Job types that stop on their AbortSignal — only these free their worker slot on abort
+const ABORTABLE_JOB_TYPES = ['fetch_artist_albums', 'fetch_album_full'];
+
 const WIKI_JOB_TYPES = ['fetch_artist_wiki', 'fetch_album_wiki'];
 
 const IMAGE_JOB_TYPES = ['fetch_artist_images', 'fetch_album_images'];
 
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+
+// Job row plus display names, shared by the list and detail queries
+const JOB_SELECT = `
+  SELECT
+    j.*,
+    COALESCE(a.name, rg.title) AS entity_name,
+    CASE WHEN j.entity_type != 'artist' THEN COALESCE(ra.name, rg.artist_credit->0->>'name') END AS artist_name
+  FROM metadata_jobs j
+  LEFT JOIN artists a ON a.mbid = j.entity_mbid
+  LEFT JOIN release_groups rg ON rg.mbid = j.entity_mbid
+  LEFT JOIN artists ra ON ra.mbid = j.root_artist_mbid`;
+
+const JOBS_CHANNEL = 'nulmd_jobs';
+const FALLBACK_POLL_MS = 30000;
+
+const RETRY_BASE_MS = 30000;
+const RETRY_MAX_MS = 3600000;
+const RETRY_JITTER = 0.2; // ±20%, so jobs that failed together don't retry together
+
 class BackgroundJobQueue {
   constructor() {
-    // MB worker pool
-    this.mbWorkers = 0;
-    this.maxMbWorkers = 1;
-    this.mbInterval = null;
-    this.mbPaused = false;
-
-    // Wiki worker pool
-    this.wikiWorkers = 0;
-    this.maxWikiWorkers = 2;
-    this.wikiInterval = null;
-
-    // Provider image worker pool
-    this.imageWorkers = 0;
-    this.maxImageWorkers = 2;
-    this.imageInterval = null;
+    this.pools = {
+      mb: { jobTypes: MB_JOB_TYPES, workers: 0, maxWorkers: 1, paused: false, run: (job, signal) => this._runMbJob(job, signal) },
+      wiki: { jobTypes: WIKI_JOB_TYPES, workers: 0, maxWorkers: 2, paused: false, run: job => this._runWikiJob(job) },
+      image: { jobTypes: IMAGE_JOB_TYPES, workers: 0, maxWorkers: 2, paused: false, run: job => this._runImageJob(job) }
+    };
+    this.running = new Map(); // job id -> AbortController
+    this.processing = false;
+    this.pollInterval = null;
+    this.cleanupInterval = null;
+    this.retryTimer = null;
+    this.retryDueAt = null;
 
     // processJob fn injected at startup
     this._processJobFn = null;
@@ -66,6 +100,7 @@ class BackgroundJobQueue {
     try {
       // ON CONFLICT target differs based on whether this is a tree job or standalone job
       // due to two partial unique indexes (see schema).
+      // A pending job keeps its attempts and backoff — it may be mid-retry; a failed one starts over.
       const conflictClause = rootArtistMbid
         ? `ON CONFLICT (job_type, entity_mbid, root_artist_mbid) WHERE root_artist_mbid IS NOT NULL`
         : `ON CONFLICT (job_type, entity_mbid) WHERE root_artist_mbid IS NULL`;
@@ -81,9 +116,12 @@ class BackgroundJobQueue {
                 ELSE 'pending'
               END,
               attempts = CASE
-                WHEN metadata_jobs.status = 'processing' THEN metadata_jobs.attempts
-                WHEN metadata_jobs.status = 'completed' THEN metadata_jobs.attempts
-                ELSE 0
+                WHEN metadata_jobs.status = 'failed' THEN 0
+                ELSE metadata_jobs.attempts
+              END,
+              next_attempt_at = CASE
+                WHEN metadata_jobs.status = 'failed' THEN NULL
+                ELSE metadata_jobs.next_attempt_at
               END
         RETURNING id, status
       `, [jobType, entityType, entityMbid, priority, metadata ? JSON.stringify(metadata) : null, parentJobId, rootArtistMbid]);
@@ -91,6 +129,7 @@ class BackgroundJobQueue {
       const { id: jobId, status } = result.rows[0];
       if (status !== 'completed') {
         logger.info(`Queued job ${jobId}: ${jobType} for ${entityType} ${entityMbid}`);
+        database.notify(JOBS_CHANNEL, jobType);
       }
       return jobId;
     } catch (error) {
@@ -115,6 +154,7 @@ class BackgroundJobQueue {
                 ELSE 'pending'
               END,
               attempts = 0,
+              next_attempt_at = NULL,
               metadata = CASE
                 WHEN EXCLUDED.metadata IS NOT NULL THEN EXCLUDED.metadata
                 ELSE (COALESCE(metadata_jobs.metadata, '{}'::jsonb) - 'lidarr_refresh_triggered')
@@ -124,6 +164,7 @@ class BackgroundJobQueue {
 
       const jobId = result.rows[0].id;
       logger.info(`Force-queued job ${jobId}: ${jobType} for ${entityType} ${entityMbid}`);
+      database.notify(JOBS_CHANNEL, jobType);
       return jobId;
     } catch (error) {
       logger.error('Failed to force-queue job:', error);
@@ -131,6 +172,17 @@ class BackgroundJobQueue {
     }
   }
 
+  /**
+   * Merge keys into a job's metadata JSON and drop `removeKeys` — used for resumable progress.
+   */
+  async updateJobMetadata(jobId, patch = {}, removeKeys = []) {
+    await database.query(`
+      UPDATE metadata_jobs
+      SET metadata = (COALESCE(metadata, '{}'::jsonb) || $2::jsonb) - $3::text[]
+      WHERE id = $1
+    `, [jobId, JSON.stringify(patch), removeKeys]);
+  }
+
   // ─── Job fetching ────────────────────────────────────────────────────────────
 
   async _getNextJob(jobTypes) {
@@ -144,6 +196,7 @@ class BackgroundJobQueue {
           SELECT id FROM metadata_jobs
           WHERE status = 'pending'
             AND job_type = ANY($1)
+            AND (next_attempt_at IS NULL OR next_attempt_at <= NOW())
           ORDER BY priority DESC, created_at ASC
           LIMIT 1
           FOR UPDATE SKIP LOCKED
@@ -160,13 +213,19 @@ class BackgroundJobQueue {
   // ─── Job completion ──────────────────────────────────────────────────────────
 
   async completeJob(jobId) {
+    // Only a job still marked processing — one cancelled while it ran stays cancelled
     const result = await database.query(
-      `UPDATE metadata_jobs SET status = 'completed', completed_at = NOW() WHERE id = $1 RETURNING root_artist_mbid`,
+      `UPDATE metadata_jobs SET status = 'completed', completed_at = NOW()
+       WHERE id = $1 AND status = 'processing' RETURNING root_artist_mbid`,
       [jobId]
     );
+    if (result.rows.length === 0) {
+      logger.info(`Job ${jobId} finished after it was cancelled, leaving it cancelled`);
+      return;
+    }
     logger.info(`Job ${jobId} completed`);
 
-    const rootArtistMbid = result.rows[0]?.root_artist_mbid;
+    const rootArtistMbid = result.rows[0].root_artist_mbid;
     if (rootArtistMbid) {
       await this._checkAndTriggerRefresh(rootArtistMbid);
     }
@@ -188,20 +247,9 @@ class BackgroundJobQueue {
     }
 
     // Also wait for image downloads to complete for this artist's albums
-    const pendingDownloads = await database.query(`
-      SELECT COUNT(*) as n FROM images i
-      WHERE (
-        i.entity_mbid = $1
-        OR i.entity_mbid IN (
-          SELECT release_group_mbid FROM artist_release_groups WHERE artist_mbid = $1
-        )
-      )
-      AND i.cached = false
-      AND i.cache_failed = false
-    `, [rootArtistMbid]);
-
-    if (parseInt(pendingDownloads.rows[0].n) > 0) {
-      logger.info(`Refresh check ${rootArtistMbid}: waiting — ${pendingDownloads.rows[0].n} image download(s) still pending`);
+    const pendingDownloads = await this._countPendingDownloads(rootArtistMbid);
+    if (pendingDownloads > 0) {
+      logger.info(`Refresh check ${rootArtistMbid}: waiting — ${pendingDownloads} image download(s) still pending`);
       return;
     }
 
@@ -231,53 +279,175 @@ class BackgroundJobQueue {
     }
   }
 
+  async _countPendingDownloads(rootArtistMbid) {
+    const result = await database.query(`
+      SELECT COUNT(*) as n FROM images i
+      WHERE (
+        i.entity_mbid = $1
+        OR i.entity_mbid IN (
+          SELECT release_group_mbid FROM artist_release_groups WHERE artist_mbid = $1
+        )
+      )
+      AND i.cached = false
+      AND i.cache_failed = false
+    `, [rootArtistMbid]);
+    return parseInt(result.rows[0].n);
+  }
+
   async failJob(jobId, errorMessage) {
+    // Backoff doubles per attempt: RETRY_BASE_MS * 2^(attempts - 1), capped, then jittered
     const result = await database.query(`
       UPDATE metadata_jobs
       SET status = CASE
             WHEN attempts >= max_attempts THEN 'failed'
             ELSE 'pending'
           END,
+          next_attempt_at = CASE
+            WHEN attempts >= max_attempts THEN NULL
+            ELSE NOW() + LEAST($3 * power(2, GREATEST(attempts - 1, 0)), $4)
+                         * (1 + (random() * 2 - 1) * $5) * INTERVAL '1 millisecond'
+          END,
           error_message = $2
-      WHERE id = $1
-      RETURNING status, attempts, max_attempts
-    `, [jobId, errorMessage]);
+      WHERE id = $1 AND status = 'processing'
+      RETURNING status, attempts, max_attempts, next_attempt_at
+    `, [jobId, errorMessage, RETRY_BASE_MS, RETRY_MAX_MS, RETRY_JITTER]);
 
     const job = result.rows[0];
+    if (!job) {
+      logger.info(`Job ${jobId} failed after it was cancelled: ${errorMessage}`);
+      return;
+    }
+
+    await database.query(
+      'INSERT INTO metadata_job_errors (job_id, attempt, error_message) VALUES ($1, $2, $3)',
+      [jobId, job.attempts, errorMessage]
+    );
+
     if (job.status === 'failed') {
       logger.error(`Job ${jobId} failed permanently after ${job.attempts}/${job.max_attempts} attempts: ${errorMessage}`);
     } else {
-      logger.warn(`Job ${jobId} failed (attempt ${job.attempts}/${job.max_attempts}), will retry: ${errorMessage}`);
+      const dueAt = job.next_attempt_at.getTime();
+      logger.warn(`Job ${jobId} failed (attempt ${job.attempts}/${job.max_attempts}), will retry in ${Math.round((dueAt - Date.now()) / 1000)}s: ${errorMessage}`);
+      this._scheduleRetryWake(dueAt);
     }
   }
 
-  // ─── MB worker pool ──────────────────────────────────────────────────────────
+  // ─── Retry scheduling ────────────────────────────────────────────────────────
+
+  // Keep one timer, set for the earliest backed-off job
+  _scheduleRetryWake(dueAt) {
+    if (!this.processing) return;
+    if (this.retryTimer && this.retryDueAt <= dueAt) return;
+
+    clearTimeout(this.retryTimer);
+    this.retryDueAt = dueAt;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.retryDueAt = null;
+      this._wake();
+      this._scheduleNextRetry().catch(err => logger.error('Retry scheduling error:', err));
+    }, Math.max(dueAt - Date.now(), 0));
+  }
 
-  _startMbPool(intervalMs) {
-    this.mbInterval = setInterval(async () => {
-      if (this.mbPaused || this.mbWorkers >= this.maxMbWorkers) return;
-      try {
-        const job = await this._getNextJob(MB_JOB_TYPES);
-        if (job) {
-          this.mbWorkers++;
-          this._runMbJob(job).finally(() => { this.mbWorkers--; });
+  async _scheduleNextRetry() {
+    const result = await database.query(`
+      SELECT MIN(next_attempt_at) AS due FROM metadata_jobs
+      WHERE status = 'pending' AND next_attempt_at > NOW()
+    `);
+    const due = result.rows[0].due;
+    if (due) this._scheduleRetryWake(due.getTime());
+  }
+
+  // ─── Dispatch ────────────────────────────────────────────────────────────────
+
+  // Wake the pool that runs jobType — every pool when it's unknown (fallback poll, reconnect)
+  _wake(jobType = null) {
+    for (const [name, pool] of Object.entries(this.pools)) {
+      if (!jobType || pool.jobTypes.includes(jobType)) this._drain(name);
+    }
+  }
+
+  /**
+   * Start pending jobs for one pool until its workers are busy or nothing is left.
+   * A wake-up that arrives mid-drain makes the running drain go round once more.
+   */
+  async _drain(name) {
+    const pool = this.pools[name];
+    if (pool.draining) {
+      pool.wokenWhileDraining = true;
+      return;
+    }
+
+    pool.draining = true;
+    try {
+      do {
+        pool.wokenWhileDraining = false;
+        while (this.processing && !pool.paused && pool.workers < pool.maxWorkers) {
+          const job = await this._getNextJob(pool.jobTypes);
+          if (!job) break;
+
+          this._startJob(name, job);
         }
-      } catch (error) {
-        logger.error('MB job processor error:', error);
-      }
-    }, intervalMs);
+      } while (pool.wokenWhileDraining);
+    } catch (error) {
+      logger.error(`${name} job dispatch error:`, error);
+    } finally {
+      pool.draining = false;
+    }
+  }
+
+  // Run a claimed job; its slot frees when it settles, or as soon as it's aborted if it can stop
+  _startJob(name, job) {
+    const pool = this.pools[name];
+    const controller = new AbortController();
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      pool.workers--;
+      this.running.delete(String(job.id));
+      this._drain(name);
+    };
+
+    pool.workers++;
+    this.running.set(String(job.id), controller);
+    if (ABORTABLE_JOB_TYPES.includes(job.job_type)) {
+      controller.signal.addEventListener('abort', release, { once: true });
+    }
+    pool.run(job, controller.signal)
+      .catch(error => logger.error(`${name} job ${job.id} could not be finished:`, error))
+      .finally(release);
   }
 
-  async _runMbJob(job) {
+  /**
+   * Abort a job running in this process. Returns false if it isn't running here.
+   */
+  abortJob(jobId) {
+    const controller = this.running.get(String(jobId));
+    if (!controller) return false;
+
+    logger.info(`Aborting running job ${jobId}`);
+    controller.abort();
+    return true;
+  }
+
+  // ─── MB worker pool ──────────────────────────────────────────────────────────
+
+  async _runMbJob(job, signal) {
+    const { workers, maxWorkers } = this.pools.mb;
     if (job.attempts > 1) {
       logger.info(`Retrying job ${job.id}: ${job.job_type} for ${job.entity_mbid} (attempt ${job.attempts}/${job.max_attempts})`);
     } else {
-      logger.info(`Processing job ${job.id}: ${job.job_type} for ${job.entity_mbid} [mb worker ${this.mbWorkers}/${this.maxMbWorkers}]`);
+      logger.info(`Processing job ${job.id}: ${job.job_type} for ${job.entity_mbid} [mb worker ${workers}/${maxWorkers}]`);
     }
     try {
-      await this._processJobFn(job);
+      await this._processJobFn(job, signal);
       await this.completeJob(job.id);
     } catch (error) {
+      if (signal.aborted) {
+        logger.info(`Job ${job.id} stopped: cancelled`);
+        return;
+      }
       logger.error(`Job ${job.id} error: ${error.message}`);
       await this.failJob(job.id, error.message);
     }
@@ -285,23 +455,8 @@ class BackgroundJobQueue {
 
   // ─── Wiki worker pool ────────────────────────────────────────────────────────
 
-  _startWikiPool(intervalMs) {
-    this.wikiInterval = setInterval(async () => {
-      if (this.wikiWorkers >= this.maxWikiWorkers) return;
-      try {
-        const job = await this._getNextJob(WIKI_JOB_TYPES);
-        if (job) {
-          this.wikiWorkers++;
-          this._runWikiJob(job).finally(() => { this.wikiWorkers--; });
-        }
-      } catch (error) {
-        logger.error('Wiki job processor error:', error);
-      }
-    }, intervalMs);
-  }
-
   async _runWikiJob(job) {
-    logger.info(`Wiki job ${job.id}: ${job.job_type} for ${job.entity_mbid} [wiki worker ${this.wikiWorkers}/${this.maxWikiWorkers}]`);
+    logger.info(`Wiki job ${job.id}: ${job.job_type} for ${job.entity_mbid} [wiki worker ${this.pools.wiki.workers}/${this.pools.wiki.maxWorkers}]`);
     try {
       if (job.job_type === 'fetch_artist_wiki') {
         await this._fetchArtistWiki(job.entity_mbid, job.metadata?.forceRefresh);
@@ -393,23 +548,8 @@ class BackgroundJobQueue {
 
   // ─── Provider image worker pool ──────────────────────────────────────────────
 
-  _startImagePool(intervalMs) {
-    this.imageInterval = setInterval(async () => {
-      if (this.imageWorkers >= this.maxImageWorkers) return;
-      try {
-        const job = await this._getNextJob(IMAGE_JOB_TYPES);
-        if (job) {
-          this.imageWorkers++;
-          this._runImageJob(job).finally(() => { this.imageWorkers--; });
-        }
-      } catch (error) {
-        logger.error('Provider image job processor error:', error);
-      }
-    }, intervalMs);
-  }
-
   async _runImageJob(job) {
-    logger.info(`Image job ${job.id}: ${job.job_type} for ${job.entity_mbid} [image worker ${this.imageWorkers}/${this.maxImageWorkers}]`);
+    logger.info(`Image job ${job.id}: ${job.job_type} for ${job.entity_mbid} [image worker ${this.pools.image.workers}/${this.pools.image.maxWorkers}]`);
     try {
       if (job.job_type === 'fetch_artist_images') {
         await this._fetchArtistImages(job.entity_mbid, job.metadata?.force);
@@ -449,6 +589,11 @@ class BackgroundJobQueue {
       stored++;
     }
     logger.info(`Image: Stored ${stored}/${images.length} URLs for ${entityType} ${entityMbid} from ${provider}`);
+
+    if (stored > 0) {
+      const imageDownloadQueue = require('./imageDownloadQueue');
+      imageDownloadQueue.notifyNewImages();
+    }
   }
 
   async _fetchArtistImages(mbid, force = false) {
@@ -576,30 +721,289 @@ class BackgroundJobQueue {
 
   // ─── Startup / shutdown ──────────────────────────────────────────────────────
 
-  async startProcessor(processJobFn, intervalMs = 1000) {
+  async startProcessor(processJobFn, fallbackPollMs = FALLBACK_POLL_MS) {
     this._processJobFn = processJobFn;
 
     await this._resetStuckJobs();
 
-    this._startMbPool(intervalMs);
-    this._startWikiPool(1000);
-    this._startImagePool(500);
+    this.processing = true;
+    await database.listen(JOBS_CHANNEL, jobType => this._wake(jobType));
+    this.pollInterval = setInterval(() => this._wake(), fallbackPollMs);
+    this._wake(); // pick up whatever is already pending
+    await this._scheduleNextRetry();
 
     // Cleanup old completed jobs hourly
-    setInterval(() => {
+    this.cleanupInterval = setInterval(() => {
       this._cleanupOldJobs().catch(err => logger.error('Cleanup error:', err));
     }, 3600000);
 
-    logger.info(`Background job queue started — MB workers: ${this.maxMbWorkers}, Wiki workers: ${this.maxWikiWorkers}, Image workers: ${this.maxImageWorkers}`);
+    const { mb, wiki, image } = this.pools;
+    logger.info(`Background job queue started — MB workers: ${mb.maxWorkers}, Wiki workers: ${wiki.maxWorkers}, Image workers: ${image.maxWorkers}, fallback poll: ${fallbackPollMs / 1000}s`);
   }
 
   stopProcessor() {
-    if (this.mbInterval) { clearInterval(this.mbInterval); this.mbInterval = null; }
-    if (this.wikiInterval) { clearInterval(this.wikiInterval); this.wikiInterval = null; }
-    if (this.imageInterval) { clearInterval(this.imageInterval); this.imageInterval = null; }
+    this.processing = false;
+    if (this.pollInterval) { clearInterval(this.pollInterval); this.pollInterval = null; }
+    if (this.cleanupInterval) { clearInterval(this.cleanupInterval); this.cleanupInterval = null; }
+    if (this.retryTimer) { clearTimeout(this.retryTimer); this.retryTimer = null; this.retryDueAt = null; }
     logger.info('Background job queue stopped');
   }
 
+  // ─── Job management ──────────────────────────────────────────────────────────
+
+  /**
+   * Filterable, paginated job listing. type and status take a single value or an array;
+   * active jobs come first, then newest first.
+   */
+  async listJobs({ type, status, entityMbid, rootArtistMbid, limit = 50, offset = 0 } = {}) {
+    const params = [];
+    const conditions = [];
+    const where = (column, value) => {
+      params.push(value);
+      conditions.push(Array.isArray(value) ? `j.${column} = ANY($${params.length})` : `j.${column} = $${params.length}`);
+    };
+    if (type) where('job_type', type);
+    if (status) where('status', status);
+    if (entityMbid) where('entity_mbid', entityMbid);
+    if (rootArtistMbid) where('root_artist_mbid', rootArtistMbid);
+    const whereSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [count, rows] = await Promise.all([
+      database.query(`SELECT COUNT(*) AS n FROM metadata_jobs j ${whereSql}`, params),
+      database.query(`
+        ${JOB_SELECT}
+        ${whereSql}
+        ORDER BY
+          CASE j.status WHEN 'processing' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END,
+          j.created_at DESC, j.id DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `, [...params, limit, offset])
+    ]);
+
+    return { total: parseInt(count.rows[0].n), jobs: rows.rows };
+  }
+
+  /**
+   * One job with its error history and its direct children's status counts — null if unknown.
+   */
+  async getJob(jobId) {
+    const result = await database.query(`${JOB_SELECT} WHERE j.id = $1`, [jobId]);
+    const job = result.rows[0];
+    if (!job) return null;
+
+    const [errors, children] = await Promise.all([
+      database.query(
+        'SELECT attempt, error_message, failed_at FROM metadata_job_errors WHERE job_id = $1 ORDER BY id',
+        [jobId]
+      ),
+      database.query(
+        'SELECT status, COUNT(*) AS n FROM metadata_jobs WHERE parent_job_id = $1 GROUP BY status',
+        [jobId]
+      )
+    ]);
+
+    const childCounts = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+    children.rows.forEach(row => { childCounts[row.status] = parseInt(row.n); });
+
+    return { ...job, errors: errors.rows, children: childCounts };
+  }
+
+  /**
+   * Put a failed job back in the queue with a fresh set of attempts. Returns false unless it was failed.
+   */
+  async retryJob(jobId) {
+    const result = await database.query(`
+      UPDATE metadata_jobs
+      SET status = 'pending', attempts = 0, next_attempt_at = NULL, started_at = NULL
+      WHERE id = $1 AND status = 'failed'
+      RETURNING job_type, root_artist_mbid
+    `, [jobId]);
+    if (result.rows.length === 0) return false;
+
+    const { job_type: jobType, root_artist_mbid: rootArtistMbid } = result.rows[0];
+    logger.info(`Retrying job ${jobId}: ${jobType} (requested by user)`);
+    if (rootArtistMbid) await this._rearmTreeRefresh(rootArtistMbid);
+    database.notify(JOBS_CHANNEL, jobType);
+    return true;
+  }
+
+  /**
+   * Retry every failed job in an artist's tree. Returns how many were re-queued.
+   */
+  async retryTree(rootArtistMbid) {
+    const result = await database.query(`
+      UPDATE metadata_jobs
+      SET status = 'pending', attempts = 0, next_attempt_at = NULL, started_at = NULL
+      WHERE root_artist_mbid = $1 AND status = 'failed'
+      RETURNING job_type
+    `, [rootArtistMbid]);
+    if (result.rows.length === 0) return 0;
+
+    logger.info(`Retrying ${result.rows.length} failed job(s) in tree ${rootArtistMbid} (requested by user)`);
+    await this._rearmTreeRefresh(rootArtistMbid);
+    for (const jobType of new Set(result.rows.map(row => row.job_type))) {
+      database.notify(JOBS_CHANNEL, jobType);
+    }
+    return result.rows.length;
+  }
+
+  /**
+   * Cancel a pending or running job — it's marked failed with no attempts left, like kill-active.
+   * A running job is aborted; whatever it still does no longer changes the job.
+   */
+  async cancelJob(jobId) {
+    const result = await database.query(`
+      UPDATE metadata_jobs
+      SET status = 'failed', error_message = 'Cancelled by user', attempts = max_attempts, next_attempt_at = NULL
+      WHERE id = $1 AND status IN ('pending', 'processing')
+      RETURNING root_artist_mbid
+    `, [jobId]);
+    if (result.rows.length === 0) return false;
+
+    logger.info(`Cancelled job ${jobId}`);
+    this.abortJob(jobId);
+    const rootArtistMbid = result.rows[0].root_artist_mbid;
+    if (rootArtistMbid) await this._checkAndTriggerRefresh(rootArtistMbid);
+    return true;
+  }
+
+  async setJobPriority(jobId, priority) {
+    const result = await database.query(
+      'UPDATE metadata_jobs SET priority = $2 WHERE id = $1 RETURNING id',
+      [jobId, priority]
+    );
+    if (result.rows.length === 0) return false;
+
+    logger.info(`Job ${jobId} priority set to ${priority}`);
+    return true;
+  }
+
+  // ─── Job trees ───────────────────────────────────────────────────────────────
+
+  /**
+   * An artist's job tree — nested nodes with status and timing — plus overall progress.
+   * Null when the artist has no tree jobs.
+   */
+  async getJobTree(rootArtistMbid) {
+    const result = await database.query(`${JOB_SELECT} WHERE j.root_artist_mbid = $1 ORDER BY j.id`, [rootArtistMbid]);
+    if (result.rows.length === 0) return null;
+
+    const now = Date.now();
+    const nodes = new Map(result.rows.map(job => [job.id, {
+      id: job.id,
+      job_type: job.job_type,
+      entity_type: job.entity_type,
+      entity_mbid: job.entity_mbid,
+      entity_name: job.entity_name,
+      status: job.status,
+      priority: job.priority,
+      attempts: job.attempts,
+      max_attempts: job.max_attempts,
+      error_message: job.error_message,
+      created_at: job.created_at,
+      started_at: job.started_at,
+      completed_at: job.completed_at,
+      next_attempt_at: job.next_attempt_at,
+      duration_ms: job.started_at && (job.status === 'completed' || job.status === 'processing')
+        ? (job.status === 'completed' ? job.completed_at.getTime() : now) - job.started_at.getTime()
+        : null,
+      children: []
+    }]));
+
+    // Children whose parent was cleaned up hang off the top level
+    const roots = [];
+    for (const job of result.rows) {
+      const parent = job.parent_job_id && nodes.get(job.parent_job_id);
+      (parent ? parent.children : roots).push(nodes.get(job.id));
+    }
+
+    const rootJob = result.rows.find(job => job.job_type === 'fetch_artist_albums');
+    return {
+      artist_mbid: rootArtistMbid,
+      artist_name: rootJob?.entity_name || null,
+      ...this._treeProgress(result.rows),
+      image_downloads_pending: await this._countPendingDownloads(rootArtistMbid),
+      jobs: roots
+    };
+  }
+
+  /**
+   * Progress of every tree that still has pending or processing jobs, for live progress bars.
+   */
+  async getActiveJobTrees() {
+    const result = await database.query(`
+      SELECT j.root_artist_mbid, j.job_type, j.status, j.started_at, j.completed_at, a.name AS artist_name
+      FROM metadata_jobs j
+      LEFT JOIN artists a ON a.mbid = j.root_artist_mbid
+      WHERE j.root_artist_mbid IN (
+        SELECT root_artist_mbid FROM metadata_jobs
+        WHERE root_artist_mbid IS NOT NULL AND status IN ('pending', 'processing')
+      )
+    `);
+
+    const trees = new Map();
+    for (const job of result.rows) {
+      if (!trees.has(job.root_artist_mbid)) trees.set(job.root_artist_mbid, []);
+      trees.get(job.root_artist_mbid).push(job);
+    }
+
+    return [...trees.entries()].map(([artistMbid, jobs]) => ({
+      artist_mbid: artistMbid,
+      artist_name: jobs[0].artist_name,
+      ...this._treeProgress(jobs)
+    }));
+  }
+
+  // Status counts, percent of jobs finished and an ETA for a tree's job rows
+  _treeProgress(jobs) {
+    const counts = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+    jobs.forEach(job => { counts[job.status]++; });
+
+    const finished = counts.completed + counts.failed;
+    const running = counts.pending + counts.processing > 0;
+    const etaMs = running ? this._estimateRemainingMs(jobs) : 0;
+
+    return {
+      status: running ? 'running' : counts.failed > 0 ? 'failed' : 'completed',
+      total: jobs.length,
+      counts,
+      percent: Math.floor(finished / jobs.length * 100),
+      eta_seconds: etaMs === null ? null : Math.round(etaMs / 1000)
+    };
+  }
+
+  /**
+   * Remaining time from this tree's own completed job durations: each pool works through its
+   * remaining jobs at its worker count, and the pools run side by side. A new tree keeps
+   * growing as albums are walked, so this is a rough estimate — null until a pool has a sample.
+   */
+  _estimateRemainingMs(jobs) {
+    let etaMs = 0;
+    for (const pool of Object.values(this.pools)) {
+      const poolJobs = jobs.filter(job => pool.jobTypes.includes(job.job_type));
+      const remaining = poolJobs.filter(job => job.status === 'pending' || job.status === 'processing').length;
+      if (remaining === 0) continue;
+
+      const durations = poolJobs
+        .filter(job => job.status === 'completed' && job.started_at && job.completed_at)
+        .map(job => job.completed_at - job.started_at);
+      if (durations.length === 0) return null;
+
+      const average = durations.reduce((sum, ms) => sum + ms, 0) / durations.length;
+      etaMs = Math.max(etaMs, remaining * average / pool.maxWorkers);
+    }
+    return etaMs;
+  }
+
+  // A retried tree job should notify Lidarr again once the tree completes
+  async _rearmTreeRefresh(rootArtistMbid) {
+    await database.query(`
+      UPDATE metadata_jobs
+      SET metadata = metadata - 'lidarr_refresh_triggered'
+      WHERE root_artist_mbid = $1 AND job_type = 'fetch_artist_albums' AND metadata ? 'lidarr_refresh_triggered'
+    `, [rootArtistMbid]);
+  }
+
   // ─── Maintenance ─────────────────────────────────────────────────────────────
 
   async _resetStuckJobs() {
@@ -639,13 +1043,14 @@ class BackgroundJobQueue {
     const result = await database.query(`
       SELECT status, COUNT(*) as count FROM metadata_jobs GROUP BY status
     `);
+    const { mb, wiki, image } = this.pools;
     const stats = {
       pending: 0, processing: 0, completed: 0, failed: 0,
-      mb_workers: this.mbWorkers, max_mb_workers: this.maxMbWorkers,
-      wiki_workers: this.wikiWorkers, max_wiki_workers: this.maxWikiWorkers,
-      image_workers: this.imageWorkers, max_image_workers: this.maxImageWorkers,
+      mb_workers: mb.workers, max_mb_workers: mb.maxWorkers,
+      wiki_workers: wiki.workers, max_wiki_workers: wiki.maxWorkers,
+      image_workers: image.workers, max_image_workers: image.maxWorkers,
       // keep legacy keys so dashboard doesn't break
-      active_workers: this.mbWorkers, max_workers: this.maxMbWorkers
+      active_workers: mb.workers, max_workers: mb.maxWorkers
     };
     result.rows.forEach(row => { stats[row.status] = parseInt(row.count); });
     return stats;
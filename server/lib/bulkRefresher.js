@@ -0,0 +1,148 @@
+const cron = require('node-cron');
+const database = require('../sql/database');
+const { logger } = require('./logger');
+const config = require('./config');
+const backgroundJobQueue = require('./backgroundJobQueue');
+const cronSchedule = require('./cronSchedule');
+
+/**
+ * BulkRefresher - cron-driven TTL refresh of the whole cached library
+ *
+ * On each tick, walks artists whose ttl_expires_at has passed (oldest first, capped
+ * at batchSize) and queues a low-priority refresh_artist job for each. Lidarr and UI
+ * requests keep their higher priorities, so a bulk run only soaks up idle MB capacity.
+ * Every run is recorded in bulk_refresh_log.
+ *
+ * Config (metadata.bulkRefresh):
+ *   enabled   - default true
+ *   schedule  - cron expression, default daily at 04:00
+ *   batchSize - max artists queued per run, default 50
+ */
+
+const DEFAULT_SCHEDULE = '0 4 * * *';
+const DEFAULT_BATCH_SIZE = 50;
+
+// Below the default job priority (0) — Lidarr requests use 1, UI actions 5-10
+const BULK_REFRESH_PRIORITY = -1;
+
+class BulkRefresher {
+  constructor() {
+    this.task = null;
+    this.schedule = null;
+    this.batchSize = DEFAULT_BATCH_SIZE;
+    this.running = false;
+    this._nextRun = null;
+  }
+
+  async start() {
+    const cfg = config.get('metadata.bulkRefresh', {}) || {};
+    if (cfg.enabled === false) {
+      logger.info('Bulk refresh disabled in config');
+      return;
+    }
+
+    const schedule = cfg.schedule || DEFAULT_SCHEDULE;
+    if (!cron.validate(schedule)) {
+      logger.error(`Bulk refresh: invalid cron schedule "${schedule}" — scheduler not started`);
+      return;
+    }
+
+    this.schedule = schedule;
+    this.batchSize = parseInt(cfg.batchSize) || DEFAULT_BATCH_SIZE;
+
+    // A run interrupted by a restart would otherwise stay 'running' forever
+    await database.failStaleBulkRefreshes();
+
+    this.task = cron.schedule(schedule, () => {
+      this._updateNextRun();
+      this.run().catch(err => logger.error('Bulk refresh error:', err));
+    });
+    this._updateNextRun();
+
+    logger.info(`Bulk refresh scheduled: "${schedule}", batch size ${this.batchSize}`);
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      this._nextRun = null;
+      logger.info('Bulk refresh scheduler stopped');
+    }
+  }
+
+  async run() {
+    if (this.running) {
+      logger.info('Bulk refresh already running, skipping this tick');
+      return null;
+    }
+    this.running = true;
+
+    const runId = await database.startBulkRefresh();
+    try {
+      const result = await database.query(`
+        SELECT mbid, name FROM artists
+        WHERE ttl_expires_at IS NULL OR ttl_expires_at < NOW()
+        ORDER BY ttl_expires_at ASC NULLS FIRST
+        LIMIT $1
+      `, [this.batchSize]);
+
+      logger.info(`Bulk refresh ${runId}: ${result.rows.length} artist(s) past TTL (batch size ${this.batchSize})`);
+
+      let queued = 0;
+      for (const artist of result.rows) {
+        try {
+          // Force: a completed refresh_artist from an earlier cycle must run again
+          await backgroundJobQueue.forceQueueJob('refresh_artist', 'artist', artist.mbid, BULK_REFRESH_PRIORITY);
+          queued++;
+        } catch (err) {
+          logger.warn(`Bulk refresh ${runId}: failed to queue ${artist.name} (${artist.mbid}): ${err.message}`);
+        }
+      }
+
+      await database.completeBulkRefresh(runId, queued);
+      logger.info(`Bulk refresh ${runId}: queued ${queued} artist refresh job(s)`);
+      return { id: runId, queued };
+    } catch (error) {
+      await database.failBulkRefresh(runId);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Worked out once at start and again on every tick, so status polls don't redo it.
+   * A schedule that never fires (e.g. "0 0 30 2 *") is cached as null like any other.
+   */
+  _updateNextRun() {
+    try {
+      this._nextRun = cronSchedule.getNextRun(this.schedule);
+    } catch (error) {
+      logger.warn(`Bulk refresh: can't work out next run for "${this.schedule}": ${error.message}`);
+      this._nextRun = null;
+    }
+  }
+
+  getNextRun() {
+    return this.task ? this._nextRun : null;
+  }
+
+  async getStatus() {
+    const last = await database.getLastBulkRefresh();
+    return {
+      enabled: !!this.task,
+      schedule: this.schedule,
+      batchSize: this.batchSize,
+      running: this.running,
+      lastRun: last ? {
+        startedAt: last.started_at,
+        completedAt: last.completed_at,
+        artistsQueued: last.artists_refreshed
+      } : null,
+      nextRun: this.getNextRun()
+    };
+  }
+}
+
+module.exports = new BulkRefresher();
@@ -42,12 +42,15 @@ class Config {
       cache: {
         enabled: process.env.CACHE_ENABLED !== 'false', // Default true unless explicitly disabled
         ttl: parseInt(process.env.CACHE_TTL) || 3600, // 1 hour in seconds
-        maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 1000
+        maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 1000,
+        searchTtl: 86400 // Lidarr search results persisted in search_cache, seconds — 0 disables
       },
       providers: {
         musicbrainz: {
           enabled: true,
-          baseUrl: '' // Empty = use default, or set custom MusicBrainz server URL
+          baseUrl: '', // Empty = use default, or set custom MusicBrainz server URL
+          fallbackToOfficial: false, // Fail over to musicbrainz.org when the custom server is down
+          servers: [] // Ordered failover list instead of baseUrl: [{ name, url, rateLimitMs }]
         },
         wikipedia: {
           enabled: true  // No API key needed!
@@ -73,17 +76,40 @@ class Config {
       },
       lidarr: {
         compatibilityMode: 'plugin', // or 'legacy'
-        metadataProfile: 'default'
+        metadataProfile: 'default' // Profile used when a request doesn't name one
+      },
+      // Named filters applied to Lidarr responses — pick one with /profile/<name>/... or ?profile=<name>
+      // Lists are optional, empty/missing = no filter. 'default' with no lists serves everything.
+      metadataProfiles: {
+        default: {},
+        studio: {
+          releaseStatuses: ['Official'],
+          primaryTypes: ['Album', 'EP', 'Single'],
+          secondaryTypes: ['None'], // 'None' = no secondary type
+          imageTypes: [] // CoverTypes to serve, e.g. ['Poster', 'Fanart']
+        }
       },
       lidarrIntegration: {
         enabled: !!(process.env.LIDARR_URL && process.env.LIDARR_API_KEY),
         url: process.env.LIDARR_URL || '',
         apiKey: process.env.LIDARR_API_KEY || ''
       },
+      search: {
+        mode: 'musicbrainz', // 'musicbrainz', 'local' (cached library first) or 'merge' — override per request with ?mode=
+        hydrationConcurrency: 4, // Search hits fetched/formatted in parallel
+        timeBudgetMs: 10000 // Hits not hydrated by then are returned partial and fetched in the background
+      },
       metadata: {
         fetchTypes: {
           albumTypes: ['Studio', 'EP', 'Single'], // Which release types to fetch — mirrors Metadata Browser filter
-          releaseStatuses: ['Official'] // Release status filter — empty = no status filter
+          releaseStatuses: ['Official'], // Release status filter — empty = no status filter
+          filterLidarrAlbums: false // Also drop albums outside albumTypes from the artist Albums list sent to Lidarr
+        },
+        overviewMembers: false, // Append a "Members: ..." line to group overviews sent to Lidarr
+        bulkRefresh: {
+          enabled: true,
+          schedule: '0 4 * * *', // Cron expression — daily at 04:00
+          batchSize: 50 // Max TTL-expired artists queued per run
         }
       }
     };
@@ -0,0 +1,97 @@
+/**
+ * Next-run calculation for node-cron expressions
+ *
+ * node-cron runs the schedule but has no public way to ask when it fires next, so this
+ * parses the same syntax (optional seconds field, lists, ranges, steps, month and
+ * weekday names) and walks forward a day at a time. Matching follows node-cron: every
+ * field must match, including both day-of-month and day-of-week.
+ */
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// A weekday-restricted 29 February can be 28 years away
+const MAX_DAYS_AHEAD = 29 * 366;
+
+function replaceNames(field, names, offset) {
+  return field.replace(/[a-z]+/g, word => {
+    const index = names.indexOf(word.slice(0, 3));
+    if (index === -1) throw new Error(`Unknown cron name "${word}"`);
+    return String(index + offset);
+  });
+}
+
+/**
+ * Sorted list of the values a single cron field allows.
+ */
+function parseField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let from, to;
+    if (range === '*') {
+      [from, to] = [min, max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(n => parseInt(n, 10));
+    } else {
+      from = parseInt(range, 10);
+      to = stepText === undefined ? from : max;
+    }
+    if ([from, to, step].some(Number.isNaN) || step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid cron field "${field}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+function parseExpression(expression) {
+  const fields = expression.trim().toLowerCase().split(/\s+/);
+  if (fields.length === 5) fields.unshift('0');
+  if (fields.length !== 6) throw new Error(`Invalid cron expression "${expression}"`);
+
+  return {
+    seconds: parseField(fields[0], 0, 59),
+    minutes: parseField(fields[1], 0, 59),
+    hours: parseField(fields[2], 0, 23),
+    days: new Set(parseField(fields[3], 1, 31)),
+    months: new Set(parseField(replaceNames(fields[4], MONTH_NAMES, 1), 1, 12)),
+    // 7 is Sunday as well as 0
+    weekdays: new Set(parseField(replaceNames(fields[5], WEEKDAY_NAMES, 0), 0, 7).map(d => d % 7))
+  };
+}
+
+/**
+ * First time strictly after `from` (local time) that `expression` matches, or null if
+ * it never does (e.g. "0 0 30 2 *").
+ */
+function getNextRun(expression, from = new Date()) {
+  const cron = parseExpression(expression);
+  const start = new Date(from);
+  start.setMilliseconds(0);
+  start.setSeconds(start.getSeconds() + 1);
+
+  for (let i = 0; i < MAX_DAYS_AHEAD; i++) {
+    const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+    if (!cron.months.has(day.getMonth() + 1) || !cron.days.has(day.getDate()) || !cron.weekdays.has(day.getDay())) {
+      continue;
+    }
+
+    for (const hour of cron.hours) {
+      if (i === 0 && hour < start.getHours()) continue;
+      for (const minute of cron.minutes) {
+        if (i === 0 && hour === start.getHours() && minute < start.getMinutes()) continue;
+        for (const second of cron.seconds) {
+          const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute, second);
+          // Skips times a DST jump makes nonexistent (they normalise to another hour)
+          if (candidate.getHours() !== hour) continue;
+          if (candidate >= start) return candidate;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { getNextRun };
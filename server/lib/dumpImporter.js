@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const database = require('../sql/database');
+const { logger } = require('./logger');
+const metaHandler = require('./metaHandler');
+const MusicBrainzProvider = require('../providers/musicbrainz');
+
+/**
+ * DumpImporter - seeds the database from MusicBrainz JSON data dumps, offline
+ *
+ * Reads the extracted mbdump files (artist, release-group, release — one WS/2-style JSON
+ * object per line, optionally .gz) from a directory and stores matching entities through
+ * the same normalize + metaHandler.store* path the API fetches use.
+ *
+ * Filters:
+ *   mbids   - import exactly these artist / release-group / release MBIDs
+ *   artists - import these artists plus every release group they're credited on and
+ *             every release of those release groups
+ *   all     - import everything (a full dump is millions of rows — hours of work)
+ */
+
+const ENTITY_FILES = ['artist', 'release-group', 'release'];
+const FILE_SUFFIXES = ['', '.json', '.jsonl', '.gz', '.json.gz', '.jsonl.gz'];
+const PROGRESS_EVERY = 10000;
+
+class DumpImporter {
+  constructor() {
+    this.normalizer = null;
+  }
+
+  async run({ dir, mbids = [], artists = [], all = false }) {
+    if (!all && mbids.length === 0 && artists.length === 0) {
+      throw new Error('Nothing to import — pass MBIDs, artists, or all');
+    }
+
+    // Only the normalize* helpers are used — no HTTP client needed
+    this.normalizer = this.normalizer || new MusicBrainzProvider({});
+
+    const filter = {
+      all,
+      mbids: new Set(mbids.map(id => id.toLowerCase())),
+      artists: new Set(artists.map(id => id.toLowerCase())),
+      importedArtists: new Set(),
+      importedReleaseGroups: new Set(),
+      knownArtists: new Map() // artist MBID -> in DB, for release-group links
+    };
+
+    const summary = {};
+    for (const entity of ENTITY_FILES) {
+      const file = this.findDumpFile(dir, entity);
+      if (!file) {
+        logger.warn(`Dump import: no ${entity} dump found in ${dir}, skipping`);
+        continue;
+      }
+      summary[entity] = await this.importFile(file, entity, filter);
+    }
+
+    logger.info(`Dump import complete: ${JSON.stringify(summary)}`);
+    return summary;
+  }
+
+  findDumpFile(dir, entity) {
+    for (const suffix of FILE_SUFFIXES) {
+      const candidate = path.join(dir, `${entity}${suffix}`);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
+    }
+    return null;
+  }
+
+  async importFile(file, entity, filter) {
+    logger.info(`Dump import: reading ${entity} from ${file}`);
+
+    let input = fs.createReadStream(file);
+    if (file.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    const counts = { read: 0, imported: 0, skipped: 0, failed: 0 };
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      counts.read++;
+      if (counts.read % PROGRESS_EVERY === 0) {
+        logger.info(`Dump import: ${entity} — ${counts.read} read, ${counts.imported} imported`);
+      }
+
+      let raw;
+      try {
+        raw = JSON.parse(line);
+      } catch (error) {
+        counts.failed++;
+        continue;
+      }
+
+      try {
+        const stored = await this.importEntity(entity, raw, filter);
+        counts[stored ? 'imported' : 'skipped']++;
+      } catch (error) {
+        counts.failed++;
+        logger.warn(`Dump import: failed to store ${entity} ${raw.id}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Dump import: ${entity} done — ${JSON.stringify(counts)}`);
+    return counts;
+  }
+
+  async importEntity(entity, raw, filter) {
+    if (entity === 'artist') {
+      if (!filter.all && !filter.mbids.has(raw.id) && !filter.artists.has(raw.id)) return false;
+
+      await metaHandler.storeArtist(raw.id, this.normalizer.normalizeArtist(raw), true);
+      filter.importedArtists.add(raw.id);
+      return true;
+    }
+
+    if (entity === 'release-group') {
+      const creditIds = (raw['artist-credit'] || []).map(ac => ac.artist?.id).filter(Boolean);
+      const wanted = filter.all || filter.mbids.has(raw.id) || creditIds.some(id => filter.artists.has(id));
+      if (!wanted) return false;
+
+      const data = this.normalizer.normalizeReleaseGroup(raw);
+      const primaryArtist = creditIds[0] && await this.artistExists(creditIds[0], filter) ? creditIds[0] : null;
+      await metaHandler.storeReleaseGroup(raw.id, data, primaryArtist, { force: true });
+      if (!filter.all) filter.importedReleaseGroups.add(raw.id);
+      return true;
+    }
+
+    // release
+    const releaseGroupId = raw['release-group']?.id;
+    const wanted = filter.all || filter.mbids.has(raw.id) || filter.importedReleaseGroups.has(releaseGroupId);
+    if (!wanted) return false;
+
+    if (!filter.importedReleaseGroups.has(releaseGroupId) && !(await database.getReleaseGroup(releaseGroupId))) {
+      if (!filter.all) {
+        logger.warn(`Dump import: release ${raw.id} skipped — release group ${releaseGroupId} is not in the database`);
+      }
+      return false;
+    }
+
+    await metaHandler.storeRelease(raw.id, this.normalizer.normalizeRelease(raw));
+    return true;
+  }
+
+  async artistExists(mbid, filter) {
+    if (filter.importedArtists.has(mbid)) return true;
+    if (!filter.knownArtists.has(mbid)) {
+      filter.knownArtists.set(mbid, !!(await database.getArtist(mbid)));
+    }
+    return filter.knownArtists.get(mbid);
+  }
+}
+
+module.exports = new DumpImporter();
@@ -0,0 +1,157 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+/**
+ * HTTP fixtures - record real provider responses to disk and replay them offline
+ *
+ *   NULMD_HTTP_FIXTURES=record   requests go out as usual and every response is saved
+ *   NULMD_HTTP_FIXTURES=replay   responses come from the fixture files only; a request
+ *                                without a fixture fails immediately (code ENOFIXTURE)
+ *   NULMD_HTTP_FIXTURES_DIR      fixture directory (default test/fixtures/http)
+ *
+ * One JSON file per request under <dir>/<host>/, named after method, path and sorted
+ * query string (credentials such as api_key are left out), so fixtures can be read and
+ * written by hand. Providers opt in by spreading axiosConfig() into their axios instance.
+ */
+
+const MODES = ['record', 'replay'];
+const SECRET_PARAMS = ['api_key', 'apikey', 'client_key'];
+const SAVED_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+const MAX_NAME_LENGTH = 200;
+
+function getMode() {
+  const mode = process.env.NULMD_HTTP_FIXTURES;
+  return MODES.includes(mode) ? mode : null;
+}
+
+function getDir() {
+  return process.env.NULMD_HTTP_FIXTURES_DIR || path.join(__dirname, '../../test/fixtures/http');
+}
+
+/**
+ * Extra axios options for a provider client — the fixture adapter when a mode is set.
+ */
+function axiosConfig() {
+  const mode = getMode();
+  return mode ? { adapter: createAdapter(mode, getDir()) } : {};
+}
+
+function fixtureRequest(config) {
+  const url = new URL(axios.getUri({ ...config, params: undefined }));
+  const params = { ...Object.fromEntries(url.searchParams), ...(config.params || {}) };
+  for (const key of SECRET_PARAMS) delete params[key];
+
+  const query = Object.keys(params).sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+
+  return {
+    method: (config.method || 'get').toUpperCase(),
+    protocol: url.protocol,
+    host: url.host,
+    path: url.pathname,
+    query
+  };
+}
+
+function fixturePath(dir, request) {
+  let name = `${request.method} ${request.path}${request.query ? `?${request.query}` : ''}`
+    .replace(/[^A-Za-z0-9._=+&-]+/g, '_');
+
+  // Long names (browse requests with big inc lists) keep a readable prefix plus a hash
+  if (name.length > MAX_NAME_LENGTH) {
+    const hash = crypto.createHash('sha1').update(name).digest('hex').slice(0, 12);
+    name = `${name.slice(0, MAX_NAME_LENGTH - 13)}-${hash}`;
+  }
+
+  return path.join(dir, request.host, `${name}.json`);
+}
+
+function createAdapter(mode, dir) {
+  const passthrough = axios.getAdapter(axios.defaults.adapter);
+
+  return async config => {
+    const request = fixtureRequest(config);
+    const file = fixturePath(dir, request);
+
+    if (mode === 'replay') {
+      return replay(file, request, config);
+    }
+
+    try {
+      const response = await passthrough(config);
+      await save(file, request, response);
+      return response;
+    } catch (error) {
+      if (error.response) await save(file, request, error.response);
+      throw error;
+    }
+  };
+}
+
+async function replay(file, request, config) {
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new axios.AxiosError(
+      `No HTTP fixture for ${request.method} ${request.host}${request.path}${request.query ? `?${request.query}` : ''}`,
+      'ENOFIXTURE', config, {}
+    );
+  }
+
+  const response = {
+    status: fixture.response.status,
+    statusText: fixture.response.statusText || '',
+    headers: axios.AxiosHeaders.from(fixture.response.headers || {}),
+    data: fixture.response.data,
+    config,
+    request: {}
+  };
+
+  const validateStatus = config.validateStatus;
+  if (!validateStatus || validateStatus(response.status)) {
+    return response;
+  }
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    config, response.request, response
+  );
+}
+
+async function save(file, request, response) {
+  let data = response.data;
+  if (typeof data === 'string') {
+    try { data = JSON.parse(data); } catch (_) { /* keep raw text */ }
+  }
+
+  const headers = {};
+  for (const name of SAVED_HEADERS) {
+    const value = response.headers?.[name];
+    if (value !== undefined) headers[name] = String(value);
+  }
+
+  const fixture = {
+    request: { method: request.method, url: `${request.protocol}//${request.host}${request.path}`, query: request.query },
+    response: { status: response.status, statusText: response.statusText || '', headers, data }
+  };
+
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+    logger.debug(`Recorded HTTP fixture ${file}`);
+  } catch (error) {
+    logger.warn(`Failed to record HTTP fixture ${file}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  getMode,
+  axiosConfig,
+  fixturePath: (request, dir = getDir()) => fixturePath(dir, request)
+};
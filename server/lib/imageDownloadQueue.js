@@ -2,16 +2,27 @@ const database = require('../sql/database');
 const { logger } = require('./logger');
 const imageDownloader = require('./imageDownloader');
 
+const IMAGES_CHANNEL = 'nulmd_images';
+const FALLBACK_POLL_MS = 30000;
+
 /**
  * Dedicated image download queue processor
  * Runs independently of metadata job queue to ensure images download quickly
  * Uses provider-specific rate limits
+ *
+ * Woken by a NOTIFY when new image URLs are stored, when a download finishes and when a
+ * provider's rate limit window reopens; a slow fallback poll catches anything else.
  */
 class ImageDownloadQueue {
   constructor() {
     this.activeWorkers = 0;
     this.maxWorkers = 3;
     this.processInterval = null;
+    this.processing = false;
+    this.draining = false;
+    this.wokenWhileDraining = false;
+    this.rateLimitTimer = null;
+    this.inFlight = new Set(); // image IDs being downloaded
     this.lastDownloadTime = {}; // Track last download time per provider
     
     // Provider-specific rate limits (milliseconds between requests)
@@ -37,11 +48,12 @@ class ImageDownloadQueue {
         FROM images
         WHERE cached = false 
         AND cache_failed = false
+        AND NOT (id = ANY($1::bigint[]))
         ORDER BY 
           CASE WHEN entity_type = 'artist' THEN 0 ELSE 1 END,
           last_verified_at ASC
         LIMIT 1
-      `);
+      `, [[...this.inFlight]]);
 
       return result.rows[0] || null;
     } catch (error) {
@@ -51,17 +63,13 @@ class ImageDownloadQueue {
   }
 
   /**
-   * Check if enough time has passed since last download for this provider
+   * Milliseconds until the provider's rate limit allows the next download (0 = now)
    * @param {string} provider - Provider name
-   * @returns {boolean} - True if we can proceed with download
    */
-  canDownloadFromProvider(provider) {
+  msUntilProviderReady(provider) {
     const rateLimit = this.providerRateLimits[provider] || this.providerRateLimits.default;
     const lastTime = this.lastDownloadTime[provider] || 0;
-    const now = Date.now();
-    const timeSinceLastDownload = now - lastTime;
-    
-    return timeSinceLastDownload >= rateLimit;
+    return Math.max(0, lastTime + rateLimit - Date.now());
   }
 
   /**
@@ -72,11 +80,18 @@ class ImageDownloadQueue {
     this.lastDownloadTime[provider] = Date.now();
   }
 
+  /**
+   * Tell the download processor (in any nuLMD process on this database) that new image URLs are pending
+   */
+  notifyNewImages() {
+    return database.notify(IMAGES_CHANNEL);
+  }
+
   /**
    * Start the download processor
-   * @param {number} intervalMs - How often to check for downloads (default 2000ms)
+   * @param {number} fallbackPollMs - How often to check for downloads without a notification (default 30s)
    */
-  async startProcessor(intervalMs = 2000) {
+  async startProcessor(fallbackPollMs = FALLBACK_POLL_MS) {
     if (this.processInterval) {
       logger.warn('Image download processor already running');
       return;
@@ -84,33 +99,64 @@ class ImageDownloadQueue {
 
     logger.info('Starting image download queue processor');
 
-    this.processInterval = setInterval(async () => {
-      if (this.activeWorkers >= this.maxWorkers) return;
+    this.processing = true;
+    await database.listen(IMAGES_CHANNEL, () => this._drain());
+    this.processInterval = setInterval(() => this._drain(), fallbackPollMs);
+    this._drain(); // pick up whatever is already pending
+  }
+
+  /**
+   * Start downloads until every worker is busy, nothing is pending, or the next image's
+   * provider is rate limited — then try again when its window reopens.
+   */
+  async _drain() {
+    if (this.draining) {
+      this.wokenWhileDraining = true;
+      return;
+    }
 
-      try {
-        const download = await this.getNextDownload();
+    this.draining = true;
+    try {
+      do {
+        this.wokenWhileDraining = false;
+        while (this.processing && this.activeWorkers < this.maxWorkers) {
+          const download = await this.getNextDownload();
+          if (!download) break;
 
-        if (download) {
           const provider = download.provider || 'default';
 
           // Check if we can download from this provider (rate limiting)
-          if (!this.canDownloadFromProvider(provider)) {
-            const rateLimit = this.providerRateLimits[provider] || this.providerRateLimits.default;
-            logger.debug(`Rate limit active for ${provider}, waiting ${rateLimit}ms between requests`);
-            return;
+          const waitMs = this.msUntilProviderReady(provider);
+          if (waitMs > 0) {
+            logger.debug(`Rate limit active for ${provider}, next download in ${waitMs}ms`);
+            this._drainAfter(waitMs);
+            break;
           }
 
           logger.debug(`Processing download for image ${download.id} from ${provider} [worker ${this.activeWorkers + 1}/${this.maxWorkers}]`);
           this.activeWorkers++;
+          this.inFlight.add(download.id);
           this.recordDownload(provider);
           this._runDownload(download.id).finally(() => {
             this.activeWorkers--;
+            this.inFlight.delete(download.id);
+            this._drain();
           });
         }
-      } catch (error) {
-        logger.error('Image download processor error:', error);
-      }
-    }, intervalMs);
+      } while (this.wokenWhileDraining);
+    } catch (error) {
+      logger.error('Image download processor error:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  _drainAfter(ms) {
+    if (this.rateLimitTimer) return;
+    this.rateLimitTimer = setTimeout(() => {
+      this.rateLimitTimer = null;
+      this._drain();
+    }, ms);
   }
 
   async _runDownload(imageId) {
@@ -151,6 +197,9 @@ class ImageDownloadQueue {
    * Stop the download processor
    */
   stopProcessor() {
+    this.processing = false;
+    clearTimeout(this.rateLimitTimer);
+    this.rateLimitTimer = null;
     if (this.processInterval) {
       clearInterval(this.processInterval);
       this.processInterval = null;
@@ -1,73 +1,32 @@
 const { registry } = require('./providerRegistry');
 const metaHandler = require('./metaHandler');
 const { logger } = require('./logger');
-
-const MAX_ITEM_RETRIES = 10;
-
-/**
- * Retry a list of failed items with backoff between attempts.
- * @param {Array} failedItems - items to retry
- * @param {Function} processFn - async fn(item) that processes one item
- * @param {string} label - label for logging (e.g. "release-group")
- * @returns {Array} items that still failed after all retries
- */
-async function retryFailed(failedItems, processFn, label) {
-  let remaining = [...failedItems];
-
-  logger.info(`Scheduling retries for ${remaining.length} failed ${label}(s) - will attempt up to ${MAX_ITEM_RETRIES} times each`);
-
-  for (let attempt = 1; attempt <= MAX_ITEM_RETRIES && remaining.length > 0; attempt++) {
-    logger.info(`Retry round ${attempt}/${MAX_ITEM_RETRIES}: ${remaining.length} ${label}(s) to process - hang tight, we'll get them!`);
-    const stillFailing = [];
-
-    for (const item of remaining) {
-      const itemId = typeof item === 'string' ? item : item.id;
-      try {
-        await processFn(item);
-        logger.info(`Retry succeeded for ${label} ${itemId} (round ${attempt}/${MAX_ITEM_RETRIES})`);
-      } catch (error) {
-        const attemptsLeft = MAX_ITEM_RETRIES - attempt;
-        if (attemptsLeft > 0) {
-          logger.warn(`Retry round ${attempt} failed for ${label} ${itemId}: ${error.message} - ${attemptsLeft} round(s) remaining`);
-        } else {
-          logger.error(`Final retry failed for ${label} ${itemId}: ${error.message} - no more retries`);
-        }
-        stillFailing.push(item);
-      }
-    }
-
-    if (stillFailing.length === 0) {
-      logger.info(`All ${label}(s) recovered successfully after ${attempt} retry round(s)!`);
-    } else if (attempt < MAX_ITEM_RETRIES) {
-      logger.info(`${remaining.length - stillFailing.length} ${label}(s) recovered, ${stillFailing.length} still pending - continuing retries...`);
-    }
-
-    remaining = stillFailing;
-  }
-
-  if (remaining.length > 0) {
-    const ids = remaining.map(i => typeof i === 'string' ? i : i.id).join(', ');
-    logger.error(`${remaining.length} ${label}(s) could not be fetched after ${MAX_ITEM_RETRIES} retry rounds: ${ids}`);
-  }
-
-  return remaining;
-}
+const { isAbortError } = require('./abort');
 
 /**
- * Process a metadata fetch job
+ * Process a metadata fetch job. `signal` aborts when the job is cancelled.
  */
-async function processJob(job) {
+async function processJob(job, signal = null) {
   const { job_type, entity_mbid, metadata } = job;
 
   logger.info(`Processing ${job_type} job for ${entity_mbid}`);
 
   switch (job_type) {
     case 'fetch_artist_albums':
-      await fetchArtistAlbums(job);
+      await fetchArtistAlbums(job, signal);
       break;
 
     case 'fetch_album_full':
-      await fetchAlbumFull(entity_mbid);
+      await fetchAlbumFull(job, signal);
+      break;
+
+    case 'refresh_artist':
+      await refreshArtist(job);
+      break;
+
+    case 'fetch_artist':
+      // Artist record only — queued for search hits that weren't hydrated within the time budget
+      await metaHandler.getArtist(entity_mbid);
       break;
 
     default:
@@ -78,7 +37,7 @@ async function processJob(job) {
 /**
  * Fetch all albums for an artist
  */
-async function fetchArtistAlbums(job) {
+async function fetchArtistAlbums(job, signal = null) {
   const artistMbid = job.entity_mbid;
   const rootJobId = job.id;
   const skipArtistImages = job.metadata?.skipArtistImages || false;
@@ -94,8 +53,13 @@ async function fetchArtistAlbums(job) {
   const database = require('../sql/database');
   const backgroundJobQueue = require('./backgroundJobQueue');
 
-  // Get all release groups already stored for this artist
-  const releaseGroups = await metaHandler.getArtistReleaseGroups(artistMbid);
+  // A retry only redoes the albums that failed last time (re-queueing a failed job starts over at 0 attempts)
+  const retryReleaseGroups = job.attempts > 1 ? job.metadata?.failed_release_groups : null;
+
+  // Get the release groups stored for this artist that pass metadata.fetchTypes.albumTypes —
+  // filtered-out types (bootlegs, compilations, ...) keep their release group row but get no release fetches
+  const releaseGroups = retryReleaseGroups
+    || await metaHandler.getArtistReleaseGroups(artistMbid, { typeFiltered: true });
 
   // Safety: refuse to process artists with absurd album counts
   if (releaseGroups.length > 2000) {
@@ -109,8 +73,9 @@ async function fetchArtistAlbums(job) {
   const failedAlbums = [];
 
   for (const rgMbid of releaseGroups) {
+    signal?.throwIfAborted();
     try {
-      const { needsFullFetch } = await metaHandler.ensureAlbum(rgMbid, forceRefresh);
+      const { needsFullFetch } = await metaHandler.ensureAlbum(rgMbid, forceRefresh, { signal });
       fetched++;
       logger.info(`Background: ensureAlbum complete for ${rgMbid} (${fetched}/${releaseGroups.length}) — needsFullFetch=${needsFullFetch}`);
 
@@ -130,95 +95,116 @@ async function fetchArtistAlbums(job) {
         await backgroundJobQueue.queueJob('fetch_album_images', 'release_group', rgMbid, 1, null, rootJobId, artistMbid);
       }
     } catch (error) {
+      if (isAbortError(error)) throw error;
       logger.warn(`Background: failed to ensure album ${rgMbid}: ${error.message}`);
       failedAlbums.push(rgMbid);
     }
   }
 
-  // Retry failures
+  logger.info(`Background: completed fetching releases for artist ${artistMbid}: ${fetched} albums processed, ${failedAlbums.length} failed`);
+
+  // Queue artist wiki and image jobs as tree children (already queued by the first attempt on a retry)
+  if (!retryReleaseGroups) {
+    const artistWikiQueueFn = forceRefresh ? backgroundJobQueue.forceQueueJob.bind(backgroundJobQueue) : backgroundJobQueue.queueJob.bind(backgroundJobQueue);
+    await artistWikiQueueFn('fetch_artist_wiki', 'artist', artistMbid, 1, forceRefresh ? { forceRefresh: true } : null, rootJobId, artistMbid);
+    if (!skipArtistImages && backgroundJobQueue.hasArtistImageProvider()) {
+      await backgroundJobQueue.queueJob('fetch_artist_images', 'artist', artistMbid, 1, null, rootJobId, artistMbid);
+    }
+  }
+
+  // Failed albums are retried by the queue, with backoff, on the next attempt of this job
   if (failedAlbums.length > 0) {
-    await retryFailed(failedAlbums, async (rgMbid) => {
-      const { needsFullFetch } = await metaHandler.ensureAlbum(rgMbid, forceRefresh);
-      if (needsFullFetch) {
-        const retryFullFetchQueueFn = forceRefresh
-          ? backgroundJobQueue.forceQueueJob.bind(backgroundJobQueue)
-          : backgroundJobQueue.queueJob.bind(backgroundJobQueue);
-        await retryFullFetchQueueFn('fetch_album_full', 'release_group', rgMbid, 1, null, rootJobId, artistMbid);
-      }
-      const retryAlbumWikiQueueFn = forceRefresh ? backgroundJobQueue.forceQueueJob.bind(backgroundJobQueue) : backgroundJobQueue.queueJob.bind(backgroundJobQueue);
-      await retryAlbumWikiQueueFn('fetch_album_wiki', 'release_group', rgMbid, 1, forceRefresh ? { forceRefresh: true } : null, rootJobId, artistMbid);
-      if (!skipAlbumImages && backgroundJobQueue.hasAlbumImageProvider()) {
-        await backgroundJobQueue.queueJob('fetch_album_images', 'release_group', rgMbid, 1, null, rootJobId, artistMbid);
-      }
-    }, 'album-releases');
+    await backgroundJobQueue.updateJobMetadata(job.id, { failed_release_groups: failedAlbums });
+    throw new Error(`${failedAlbums.length} album(s) failed: ${failedAlbums.join(', ')}`);
   }
+  await backgroundJobQueue.updateJobMetadata(job.id, {}, ['failed_release_groups']);
+}
 
-  logger.info(`Background: completed fetching releases for artist ${artistMbid}: ${fetched} albums processed, ${failedAlbums.length} failed`);
+/**
+ * TTL refresh of an artist (queued by the bulk refresher).
+ * Refreshes the artist record and picks up new release groups, then re-runs the
+ * fetch_artist_albums tree at the same priority so new albums get their releases
+ * and Lidarr is notified once the tree completes.
+ */
+async function refreshArtist(job) {
+  const backgroundJobQueue = require('./backgroundJobQueue');
 
-  // Queue artist wiki and image jobs as tree children
-  const artistWikiQueueFn = forceRefresh ? backgroundJobQueue.forceQueueJob.bind(backgroundJobQueue) : backgroundJobQueue.queueJob.bind(backgroundJobQueue);
-  await artistWikiQueueFn('fetch_artist_wiki', 'artist', artistMbid, 1, forceRefresh ? { forceRefresh: true } : null, rootJobId, artistMbid);
-  if (!skipArtistImages && backgroundJobQueue.hasArtistImageProvider()) {
-    await backgroundJobQueue.queueJob('fetch_artist_images', 'artist', artistMbid, 1, null, rootJobId, artistMbid);
-  }
+  const artistMbid = await metaHandler.refreshArtist(job.entity_mbid);
+  await backgroundJobQueue.forceQueueJob('fetch_artist_albums', 'artist', artistMbid, job.priority, null, null, artistMbid);
 }
 
 /**
  * Fetch complete album data: release group + remaining releases
+ * Releases come from MB browse pages (100 per call, tracklists included). The next page
+ * offset is saved in the job's metadata after each page, so a retried job resumes there.
  * Does NOT store track artists or the primary album artist — those are handled elsewhere
  */
-async function fetchAlbumFull(releaseGroupMbid) {
+async function fetchAlbumFull(job, signal = null) {
   const mbProvider = registry.getProvider('musicbrainz');
   const config = require('./config');
+  const database = require('../sql/database');
+  const backgroundJobQueue = require('./backgroundJobQueue');
+  let releaseGroupMbid = job.entity_mbid;
 
   logger.info(`Fetching complete album data for ${releaseGroupMbid}`);
 
-  // Fetch release group
-  const releaseGroupData = await mbProvider.getReleaseGroup(releaseGroupMbid);
+  // Fetch release group — follow an upstream merge so releases land on the canonical album
+  const releaseGroupData = await mbProvider.getReleaseGroup(releaseGroupMbid, { signal });
+  if (releaseGroupData.id && releaseGroupData.id !== releaseGroupMbid) {
+    logger.info(`Album ${releaseGroupMbid} was merged into ${releaseGroupData.id}, fetching canonical album`);
+    releaseGroupMbid = releaseGroupData.id;
+  }
 
   // Store release group (artist already in DB from synchronous path)
   await metaHandler.storeReleaseGroup(releaseGroupMbid, releaseGroupData, null, { force: true });
 
-  // Fetch remaining releases — skip only what's already stored in DB, apply status filter
-  const allReleases = releaseGroupData.releases || [];
+  // Store remaining releases — skip only what's already stored in DB, apply status filter
   const statusFilter = config.get('metadata.fetchTypes.releaseStatuses', ['Official']);
-  const database = require('../sql/database');
   const storedResult = await database.query(
     'SELECT mbid FROM releases WHERE release_group_mbid = $1',
     [releaseGroupMbid]
   );
   const storedMbids = new Set(storedResult.rows.map(r => r.mbid));
 
-  const remainingReleases = allReleases.filter(r => {
-    const alreadyFetched = storedMbids.has(r.id);
-    const matchesFilter = statusFilter.length === 0 || statusFilter.includes(r.status || 'Pseudo-Release');
-    return !alreadyFetched && matchesFilter;
-  });
+  const startOffset = job.metadata?.browse_offset || 0;
+  let offset = startOffset;
+  let total = null;
+  let stored = 0;
+  const seenIds = [];
+
+  if (startOffset > 0) {
+    logger.info(`Album ${releaseGroupMbid}: resuming release browse at offset ${startOffset}`);
+  }
 
-  logger.info(`Album ${releaseGroupMbid}: ${allReleases.length} releases from MB, ${storedMbids.size} already in DB, ${remainingReleases.length} remaining to fetch`);
-  logger.info(`Fetching ${remainingReleases.length} remaining releases for album ${releaseGroupMbid}`);
+  do {
+    const page = await mbProvider.browseReleaseGroupReleases(releaseGroupMbid, { offset, signal });
+    total = page.total;
+    if (page.releases.length === 0) break;
 
-  const failedReleases = [];
+    for (const release of page.releases) {
+      signal?.throwIfAborted();
+      seenIds.push(release.id);
+      const matchesFilter = statusFilter.length === 0 || statusFilter.includes(release.status || 'Pseudo-Release');
+      if (storedMbids.has(release.id) || !matchesFilter) continue;
 
-  for (const release of remainingReleases) {
-    try {
-      const fullRelease = await mbProvider.getRelease(release.id);
-      await metaHandler.storeRelease(release.id, fullRelease);
-      logger.info(`Stored ${release.status || 'Other'} release ${release.id}`);
-    } catch (error) {
-      logger.warn(`Failed to fetch ${release.status || 'Other'} release ${release.id} (will retry): ${error.message}`);
-      failedReleases.push(release);
+      await metaHandler.storeRelease(release.id, release);
+      stored++;
     }
-  }
 
-  if (failedReleases.length > 0) {
-    await retryFailed(failedReleases, async (release) => {
-      const fullRelease = await mbProvider.getRelease(release.id);
-      await metaHandler.storeRelease(release.id, fullRelease);
-    }, 'release');
+    offset += page.releases.length;
+    await backgroundJobQueue.updateJobMetadata(job.id, { browse_offset: offset, browse_total: total });
+    logger.info(`Album ${releaseGroupMbid}: browsed ${offset}/${total} releases, stored ${stored} new`);
+  } while (offset < total);
+
+  // A run that saw every page knows MB's full release list
+  if (startOffset === 0 && offset >= total && storedMbids.size > 0) {
+    await metaHandler.reconcileMissingReleases(releaseGroupMbid, seenIds);
   }
 
-  logger.info(`Completed fetching remaining releases for album ${releaseGroupMbid}`);
+  // Progress is only for resuming this run — a later force-queue starts from the top
+  await backgroundJobQueue.updateJobMetadata(job.id, {}, ['browse_offset', 'browse_total']);
+
+  logger.info(`Completed fetching remaining releases for album ${releaseGroupMbid}: ${stored} stored, ${storedMbids.size} already in DB`);
 }
 
 module.exports = { processJob };
\ No newline at end of file
@@ -19,6 +19,7 @@ class LidarrFormatter {
 
     const links = await this.getLinksForEntity('artist', mbid);
     const images = await this.getImagesForEntity('artist', mbid);
+    const oldIds = await database.getOldMbids(mbid, 'artist');
 
     // Parse JSON fields
     const aliases = this.parseJson(artist.aliases);
@@ -33,7 +34,7 @@ class LidarrFormatter {
       id: artist.mbid,
       images: images || [],
       links: links || [],
-      oldids: [],
+      oldids: oldIds,
       overview: artist.overview || '',
       rating: artist.rating ? { Count: 0, Value: parseFloat(artist.rating) } : { Count: 0, Value: null },
       sortname: artist.sort_name,
@@ -51,10 +52,12 @@ class LidarrFormatter {
     const links = await this.getLinksForEntity('artist', mbid);
     const images = await this.getImagesForEntity('artist', mbid);
     const albums = await this.getAlbumsForArtist(mbid);
+    const oldIds = await database.getOldMbids(mbid, 'artist');
 
     // Parse JSON fields
     const aliases = this.parseJson(artist.aliases);
     const genres = this.parseJson(artist.genres);
+    const overview = await this.appendMembersLine(artist);
 
     // Return ALL fields that old LMD returned (lowercase top-level, PascalCase Albums)
     return {
@@ -66,8 +69,8 @@ class LidarrFormatter {
       id: artist.mbid,
       images: images || [],
       links: links || [],
-      oldids: [],
-      overview: artist.overview || '',
+      oldids: oldIds,
+      overview,
       rating: artist.rating ? { Count: 0, Value: parseFloat(artist.rating) } : { Count: 0, Value: null },
       sortname: artist.sort_name,
       status: artist.ended ? 'ended' : 'active',
@@ -75,6 +78,24 @@ class LidarrFormatter {
     };
   }
 
+  // Optional "Members: A, B (1990–2001)" line under a group's overview (metadata.overviewMembers)
+  async appendMembersLine(artist) {
+    const overview = artist.overview || '';
+    const config = require('./config');
+    if (!config.get('metadata.overviewMembers', false) || artist.type !== 'Group') return overview;
+
+    const members = await database.getArtistMembers(artist.mbid);
+    if (members.length === 0) return overview;
+
+    const year = date => date ? date.slice(0, 4) : '';
+    const names = members.map(m => {
+      const span = m.begin_date || m.end_date ? ` (${year(m.begin_date)}–${year(m.end_date)})` : '';
+      return `${m.member_name}${span}`;
+    });
+    const line = `Members: ${names.join(', ')}`;
+    return overview ? `${overview}\n\n${line}` : line;
+  }
+
   async getArtistsBatch(mbids) {
     if (!mbids.length) return new Map();
     const result = await database.query(
@@ -125,6 +146,7 @@ class LidarrFormatter {
 
     const links = await this.getLinksForEntity('release_group', mbid);
     const images = await this.getImagesForEntity('release_group', mbid);
+    const oldIds = await database.getOldMbids(mbid, 'album');
 
     // Parse JSON fields
     const artistCredit = this.parseJson(releaseGroup.artist_credit);
@@ -152,6 +174,7 @@ class LidarrFormatter {
       const trackArtistsMap = await this.getArtistsBatch(trackArtistMbids);
       const trackLinksMap = await this.getLinksBatch('artist', trackArtistMbids);
       const trackImagesMap = await this.getImagesBatch('artist', trackArtistMbids);
+      const trackOldIdsMap = await database.getOldMbidsBatch(trackArtistMbids, 'artist');
       for (const id of trackArtistMbids) {
         const a = trackArtistsMap.get(id);
         if (a) {
@@ -163,7 +186,7 @@ class LidarrFormatter {
             id: a.mbid,
             images: trackImagesMap.get(id) || [],
             links: trackLinksMap.get(id) || [],
-            oldids: [],
+            oldids: trackOldIdsMap.get(id) || [],
             overview: a.overview || '',
             rating: a.rating ? { Count: 0, Value: parseFloat(a.rating) } : { Count: 0, Value: null },
             sortname: a.sort_name,
@@ -191,6 +214,7 @@ class LidarrFormatter {
       if (primaryArtist) {
         const primaryLinks = await this.getLinksForEntity('artist', artistId);
         const primaryImages = await this.getImagesForEntity('artist', artistId);
+        const primaryOldIds = await database.getOldMbids(artistId, 'artist');
         artistMap.set(artistId, {
           artistaliases: this.parseJson(primaryArtist.aliases) || [],
           artistname: primaryArtist.name,
@@ -199,7 +223,7 @@ class LidarrFormatter {
           id: primaryArtist.mbid,
           images: primaryImages || [],
           links: primaryLinks || [],
-          oldids: [],
+          oldids: primaryOldIds,
           overview: primaryArtist.overview || '',
           rating: primaryArtist.rating ? { Count: 0, Value: parseFloat(primaryArtist.rating) } : { Count: 0, Value: null },
           sortname: primaryArtist.sort_name,
@@ -228,7 +252,7 @@ class LidarrFormatter {
       id: releaseGroup.mbid,
       images: images || [],
       links: links || [],
-      oldids: [],
+      oldids: oldIds,
       overview: releaseGroup.overview || '',
       rating: releaseGroup.rating ? { Count: 0, Value: parseFloat(releaseGroup.rating) } : { Count: 0, Value: null },
       releasedate: releasedate || '0001-01-01',
@@ -362,7 +386,7 @@ class LidarrFormatter {
       ORDER BY rg.first_release_date DESC NULLS LAST, rg.title
     `, [artistMbid]);
 
-    const filtered = (result.rows || []).filter(album => {
+    let filtered = (result.rows || []).filter(album => {
       const ac = this.parseJson(album.artist_credit);
       return ac && ac.length > 0 && ac[0].artist && ac[0].artist.id === artistMbid;
     });
@@ -370,13 +394,25 @@ class LidarrFormatter {
     logger.info(`getAlbumsForArtist ${artistMbid}: ${result.rows.length} release groups found, ${filtered.length} pass artist_credit[0] filter`);
     logger.debug(`getAlbumsForArtist ${artistMbid}: filtered out ${result.rows.length - filtered.length} collaborative/non-primary albums`);
 
+    const config = require('./config');
+    if (config.get('metadata.fetchTypes.filterLidarrAlbums', false)) {
+      const metaHandler = require('./metaHandler');
+      const beforeTypeFilter = filtered.length;
+      filtered = filtered.filter(album =>
+        metaHandler.matchesAlbumTypeFilter(album.primary_type, this.parseJson(album.secondary_types))
+      );
+      logger.info(`getAlbumsForArtist ${artistMbid}: ${filtered.length} of ${beforeTypeFilter} albums pass albumTypes filter`);
+    }
+
+    const oldIdsMap = await database.getOldMbidsBatch(filtered.map(album => album.mbid), 'album');
+
     return filtered.map(album => {
       const secondaryTypes = this.parseJson(album.secondary_types);
       const releaseStatuses = this.parseJson(album.release_statuses);
 
       return {
         Id: album.mbid,
-        OldIds: [],
+        OldIds: oldIdsMap.get(album.mbid) || [],
         ReleaseStatuses: releaseStatuses || [],
         SecondaryTypes: secondaryTypes || [],
         Title: album.title,
@@ -405,11 +441,13 @@ class LidarrFormatter {
       ORDER BY release_date ASC NULLS LAST, country, title
     `, [releaseGroupMbid]);
 
+    const oldIds = await this.getOldIdsForReleases(result.rows || []);
+
     return (result.rows || []).map(release => {
       const media = this.parseJson(release.media);
       const labels = this.parseJson(release.labels);
 
-      const { mediaOutput, allTracks } = this.formatMediaForLidarr(media || [], artistMap);
+      const { mediaOutput, allTracks } = this.formatMediaForLidarr(media || [], artistMap, oldIds);
 
       // Extract label names
       const labelNames = labels && labels.length > 0
@@ -432,12 +470,40 @@ class LidarrFormatter {
         media: mediaOutput,
         track_count: release.track_count,
         tracks: allTracks,
-        oldids: []
+        oldids: oldIds.releases.get(release.mbid) || []
       };
     });
   }
 
-  formatMediaForLidarr(media, artistMap = null) {
+  /**
+   * Collect superseded release, track and recording IDs for a set of release rows
+   * in three batch lookups, keyed by the current ID.
+   */
+  async getOldIdsForReleases(releases) {
+    const releaseIds = [];
+    const trackIds = [];
+    const recordingIds = [];
+
+    for (const release of releases) {
+      releaseIds.push(release.mbid);
+      for (const medium of (this.parseJson(release.media) || [])) {
+        for (const track of (medium.tracks || [])) {
+          if (track.id) trackIds.push(track.id);
+          if (track.recording?.id) recordingIds.push(track.recording.id);
+        }
+      }
+    }
+
+    const [releasesMap, tracksMap, recordingsMap] = await Promise.all([
+      database.getOldMbidsBatch(releaseIds, 'release'),
+      database.getOldMbidsBatch(trackIds, 'track'),
+      database.getOldMbidsBatch(recordingIds, 'recording')
+    ]);
+
+    return { releases: releasesMap, tracks: tracksMap, recordings: recordingsMap };
+  }
+
+  formatMediaForLidarr(media, artistMap = null, oldIds = null) {
     if (!media || !Array.isArray(media)) {
       return { mediaOutput: [], allTracks: [] };
     }
@@ -450,7 +516,7 @@ class LidarrFormatter {
       const mediumFormat = medium.format || 'Unknown';
 
       // Format tracks
-      const tracks = this.formatTracksForLidarr(medium.tracks || [], mediumNumber, artistMap);
+      const tracks = this.formatTracksForLidarr(medium.tracks || [], mediumNumber, artistMap, oldIds);
       allTracks.push(...tracks);
 
       // Old LMD media objects only have Format/Name/Position
@@ -464,7 +530,7 @@ class LidarrFormatter {
     return { mediaOutput, allTracks };
   }
 
-  formatTracksForLidarr(tracks, mediumNumber = 1, artistMap = null) {
+  formatTracksForLidarr(tracks, mediumNumber = 1, artistMap = null, oldIds = null) {
     if (!tracks || !Array.isArray(tracks)) {
       return [];
     }
@@ -488,12 +554,155 @@ class LidarrFormatter {
         tracknumber: String(position),
         trackposition: position,
         mediumnumber: mediumNumber,
-        oldids: [],
-        oldrecordingids: []
+        oldids: oldIds?.tracks.get(track.id) || [],
+        oldrecordingids: oldIds?.recordings.get(recordingId) || []
       };
     });
   }
 
+  // ─── Partial search records ───────────────────────────────────────────────
+  //
+  // Built from raw MusicBrainz search hits when search hydration runs out of time.
+  // Same shape as formatArtist/formatAlbum, with whatever the search result carries.
+
+  formatPartialArtist(result) {
+    return {
+      artistaliases: [],
+      artistname: result.name,
+      disambiguation: result.disambiguation || '',
+      genres: [],
+      id: result.id,
+      images: [],
+      links: [],
+      oldids: [],
+      overview: '',
+      rating: { Count: 0, Value: null },
+      sortname: result.sortName || result.name,
+      status: 'active',
+      type: result.type || null
+    };
+  }
+
+  formatPartialAlbum(result) {
+    const artistCredit = result.artistCredit || [];
+    const artists = artistCredit
+      .filter(ac => ac.artist && ac.artist.id)
+      .map(ac => this.formatPartialArtist({ id: ac.artist.id, name: ac.artist.name, disambiguation: ac.artist.disambiguation }));
+
+    let releasedate = result.firstReleaseDate || '';
+    if (releasedate.length === 4) releasedate = `${releasedate}-01-01`;
+    else if (releasedate.length === 7) releasedate = `${releasedate}-01`;
+
+    return {
+      aliases: [],
+      artistid: artists.length > 0 ? artists[0].id : '',
+      artists,
+      disambiguation: result.disambiguation || '',
+      genres: [],
+      id: result.id,
+      images: [],
+      links: [],
+      oldids: [],
+      overview: '',
+      rating: { Count: 0, Value: null },
+      releasedate: releasedate || '0001-01-01',
+      releases: [],
+      secondarytypes: result.secondaryTypes || [],
+      title: result.title,
+      type: result.primaryType || 'Other'
+    };
+  }
+
+  // ─── Metadata profiles ────────────────────────────────────────────────────
+  //
+  // Profiles (config metadataProfiles.<name>) filter an already-formatted response, so one
+  // cached dataset serves every Lidarr instance. Each list is optional — empty = no filter:
+  //   releaseStatuses - release statuses to serve (Official, Promotion, Bootleg, Pseudo-Release)
+  //   primaryTypes    - release-group primary types (Album, EP, Single, Broadcast, Other)
+  //   secondaryTypes  - allowed secondary types; 'None' allows albums with none. (Not 'Studio',
+  //                     which metadata.fetchTypes.albumTypes uses for the Album primary type)
+  //   imageTypes      - image CoverTypes to serve (Poster, Fanart, Banner, Logo, Cover, ...)
+
+  /**
+   * Resolve a profile by name, falling back to lidarr.metadataProfile.
+   * Returns null for an unknown name; the built-in 'default' profile is a no-op.
+   */
+  getProfile(name) {
+    const config = require('./config');
+    const profileName = name || config.get('lidarr.metadataProfile', 'default');
+    const profiles = config.get('metadataProfiles', {}) || {};
+
+    if (profiles[profileName]) {
+      return { name: profileName, ...profiles[profileName] };
+    }
+    if (profileName === 'default') {
+      return { name: 'default' };
+    }
+    return null;
+  }
+
+  albumMatchesProfile(primaryType, secondaryTypes, releaseStatuses, profile) {
+    const primaryFilter = profile.primaryTypes || [];
+    if (primaryFilter.length > 0 && !primaryFilter.includes(primaryType || 'Other')) return false;
+
+    const secondaryFilter = profile.secondaryTypes || [];
+    if (secondaryFilter.length > 0) {
+      const types = secondaryTypes || [];
+      const allowed = types.length === 0
+        ? secondaryFilter.includes('None')
+        : types.every(t => secondaryFilter.includes(t));
+      if (!allowed) return false;
+    }
+
+    // Albums whose releases haven't been fetched yet have no statuses — keep them
+    const statusFilter = profile.releaseStatuses || [];
+    if (statusFilter.length > 0 && releaseStatuses && releaseStatuses.length > 0) {
+      if (!releaseStatuses.some(s => statusFilter.includes(s))) return false;
+    }
+
+    return true;
+  }
+
+  filterImages(images, profile) {
+    const imageFilter = profile.imageTypes || [];
+    if (!images || imageFilter.length === 0) return images;
+    return images.filter(image => imageFilter.includes(image.CoverType));
+  }
+
+  applyProfileToArtist(formatted, profile) {
+    if (!profile) return formatted;
+
+    const result = { ...formatted, images: this.filterImages(formatted.images, profile) };
+    if (formatted.Albums) {
+      result.Albums = formatted.Albums.filter(album =>
+        this.albumMatchesProfile(album.Type, album.SecondaryTypes, album.ReleaseStatuses, profile)
+      );
+    }
+    return result;
+  }
+
+  applyProfileToAlbum(formatted, profile) {
+    if (!profile) return formatted;
+
+    const result = {
+      ...formatted,
+      images: this.filterImages(formatted.images, profile),
+      artists: (formatted.artists || []).map(a => ({ ...a, images: this.filterImages(a.images, profile) }))
+    };
+
+    // Filter releases by status — but never strip an album bare, Lidarr can't map tracks without a release
+    const statusFilter = profile.releaseStatuses || [];
+    if (statusFilter.length > 0 && formatted.releases && formatted.releases.length > 0) {
+      const matching = formatted.releases.filter(r => statusFilter.includes(r.status || 'Pseudo-Release'));
+      if (matching.length > 0) {
+        result.releases = matching;
+      } else {
+        logger.debug(`Profile ${profile.name}: no ${statusFilter.join('/')} releases for album ${formatted.id}, serving all`);
+      }
+    }
+    return result;
+  }
+
   // Helper to apply title case to a string
   toTitleCase(str) {
     return str.replace(/\b\w/g, c => c.toUpperCase());
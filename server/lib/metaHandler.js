@@ -4,13 +4,25 @@ const { registry } = require('./providerRegistry');
 const lidarr = require('./lidarr');
 const backgroundJobQueue = require('./backgroundJobQueue');
 
+// MusicBrainz release-group primary types (lowercased) — everything else in albumTypes is a secondary type
+const PRIMARY_TYPES = ['album', 'ep', 'single', 'broadcast', 'other'];
+
+// Releases ensureAlbum stores while Lidarr waits — the rest are left to fetch_album_full
+const INLINE_RELEASE_CAP = 10;
+
 class ArtistService {
   
+  /**
+   * Fetch and store an artist from MusicBrainz.
+   * Returns the canonical MBID — differs from the requested one when MB has merged the artist.
+   */
   async getArtist(mbid) {
     const mbProvider = registry.getProvider('musicbrainz');
     if (!mbProvider) throw new Error('MusicBrainz provider not available');
     const mbData = await mbProvider.getArtist(mbid);
-    await this.storeArtist(mbid, mbData, true);
+    const canonicalMbid = mbData.id || mbid;
+    await this.storeArtist(canonicalMbid, mbData, true);
+    return canonicalMbid;
   }
   
   async searchArtist(query, limit = 10) {
@@ -179,10 +191,39 @@ class ArtistService {
     } else {
       logger.info(`Artist ${mbid} has no links to store`);
     }
+
+    // Relationships only come with the full artist lookup (artist-rels)
+    if (isFullData && Array.isArray(data.relationships)) {
+      await this.storeArtistRelations(mbid, data.relationships);
+    }
     
     // Wiki and image jobs are queued in route handlers only — when Lidarr explicitly requests this artist
   }
   
+  async storeArtistRelations(mbid, relationships) {
+    await database.query('DELETE FROM artist_relations WHERE artist_mbid = $1', [mbid]);
+
+    for (const rel of relationships) {
+      await database.query(`
+        INSERT INTO artist_relations (
+          artist_mbid, related_mbid, related_name, related_type, relation_type,
+          direction, attributes, begin_date, end_date, ended
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      `, [
+        mbid,
+        rel.artist.id,
+        rel.artist.name,
+        rel.artist.type,
+        rel.type,
+        rel.direction,
+        rel.attributes || [],
+        rel.beginDate,
+        rel.endDate,
+        rel.ended || false
+      ]);
+    }
+  }
+
   async storeLinks(entityType, entityMbid, links) {
     for (const link of links) {
       const url = typeof link === 'string' ? link : link.url;
@@ -327,16 +368,19 @@ class ArtistService {
     return result.rows.length > 0;
   }
 
-  async getArtistReleaseGroups(artistMbid) {
-    // Get unique release-group MBIDs for an artist
+  async getArtistReleaseGroups(artistMbid, { typeFiltered = false } = {}) {
+    // Get unique release-group MBIDs for an artist, optionally limited to metadata.fetchTypes.albumTypes
     const result = await database.query(`
-      SELECT DISTINCT rg.mbid
+      SELECT DISTINCT rg.mbid, rg.primary_type, rg.secondary_types
       FROM release_groups rg
       JOIN artist_release_groups arg ON arg.release_group_mbid = rg.mbid
       WHERE arg.artist_mbid = $1
     `, [artistMbid]);
     
-    return result.rows.map(row => row.mbid);
+    const rows = typeFiltered
+      ? result.rows.filter(row => this.matchesAlbumTypeFilter(row.primary_type, row.secondary_types))
+      : result.rows;
+    return rows.map(row => row.mbid);
   }
   
   async storeRelease(mbid, data) {
@@ -397,6 +441,8 @@ class ArtistService {
       JSON.stringify(media)
     ]);
 
+    await this.storeReleaseLabels(mbid, data['label-info'] || data.labelInfo || []);
+
     // Store recordings/tracks if present
     if (media && media.length > 0) {
       await this.storeTracksFromMedia(mbid, media);
@@ -405,7 +451,88 @@ class ArtistService {
     logger.info(`Stored release ${mbid} with ${trackCount} tracks across ${mediaCount} media`);
   }
 
+  /**
+   * Link a release to its labels. label-info only carries name/sort name/label code,
+   * so unknown labels are stored as stubs (ttl_expires_at NULL) until getLabel fills them in.
+   */
+  async storeReleaseLabels(releaseMbid, labelInfo) {
+    await database.query('DELETE FROM release_labels WHERE release_mbid = $1', [releaseMbid]);
+
+    for (const li of labelInfo) {
+      const label = li.label;
+      if (!label?.id) continue;
+
+      await database.query(`
+        INSERT INTO labels (mbid, name, sort_name, disambiguation, label_code)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (mbid) DO UPDATE SET
+          name = EXCLUDED.name,
+          sort_name = COALESCE(EXCLUDED.sort_name, labels.sort_name),
+          label_code = COALESCE(EXCLUDED.label_code, labels.label_code)
+        WHERE labels.ttl_expires_at IS NULL
+      `, [label.id, label.name, label['sort-name'] || null, label.disambiguation || '', label['label-code'] || null]);
+
+      await database.query(`
+        INSERT INTO release_labels (release_mbid, label_mbid, catalog_number)
+        VALUES ($1, $2, $3)
+        ON CONFLICT DO NOTHING
+      `, [releaseMbid, label.id, li['catalog-number'] || '']);
+    }
+  }
+
+  /**
+   * Fetch a label from MusicBrainz and store it with its links.
+   */
+  async getLabel(mbid) {
+    const mbProvider = registry.getProvider('musicbrainz');
+    if (!mbProvider) throw new Error('MusicBrainz provider not available');
+    const mbData = await mbProvider.getLabel(mbid);
+    await this.storeLabel(mbData.id || mbid, mbData);
+    return mbData.id || mbid;
+  }
+
+  async storeLabel(mbid, data) {
+    const ttlExpires = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+    await database.query(`
+      INSERT INTO labels (
+        mbid, name, sort_name, disambiguation, type, country, label_code,
+        begin_date, end_date, aliases, ttl_expires_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (mbid) DO UPDATE SET
+        name = EXCLUDED.name,
+        sort_name = EXCLUDED.sort_name,
+        disambiguation = EXCLUDED.disambiguation,
+        type = EXCLUDED.type,
+        country = EXCLUDED.country,
+        label_code = EXCLUDED.label_code,
+        begin_date = EXCLUDED.begin_date,
+        end_date = EXCLUDED.end_date,
+        aliases = EXCLUDED.aliases,
+        ttl_expires_at = EXCLUDED.ttl_expires_at,
+        last_updated_at = NOW()
+    `, [
+      mbid,
+      data.name,
+      data.sortName || null,
+      data.disambiguation || '',
+      data.type || null,
+      data.country || null,
+      data.labelCode || null,
+      data.beginDate || null,
+      data.endDate || null,
+      JSON.stringify(data.aliases || []),
+      ttlExpires
+    ]);
+
+    if (data.links && data.links.length > 0) {
+      await this.storeLinks('label', mbid, data.links);
+    }
+  }
+
   async storeTracksFromMedia(releaseMbid, media) {
+    await this.recordSupersededTracks(releaseMbid, media);
+
     for (const medium of media) {
       const tracks = medium.tracks || [];
       
@@ -422,23 +549,205 @@ class ArtistService {
     }
   }
 
+  /**
+   * Compare the stored tracklist of a release with the incoming one and record
+   * track IDs that were replaced at the same medium/position by an upstream merge, so
+   * Lidarr can keep its file matches (oldids / oldrecordingids). A different recording at
+   * a position is usually a tracklist correction — it only counts as a merge when MB
+   * resolves the old recording to the new one (the lookup records that redirect).
+   * Other replaced tracks are just removed. IDs still in the new tracklist are moves.
+   */
+  async recordSupersededTracks(releaseMbid, media) {
+    const existing = await database.query(
+      'SELECT mbid, recording_mbid, medium_number, position FROM tracks WHERE release_mbid = $1',
+      [releaseMbid]
+    );
+    if (existing.rows.length === 0) return;
+
+    const incoming = new Map();
+    const incomingTrackIds = new Set();
+    const incomingRecordingIds = new Set();
+    for (const medium of media) {
+      for (const track of (medium.tracks || [])) {
+        const position = track.position || track.number || 0;
+        incoming.set(`${medium.position}:${position}`, track);
+        if (track.id) incomingTrackIds.add(track.id);
+        if (track.recording?.id) incomingRecordingIds.add(track.recording.id);
+      }
+    }
+
+    const staleTrackIds = [];
+    for (const row of existing.rows) {
+      if (incomingTrackIds.has(row.mbid)) continue;
+      staleTrackIds.push(row.mbid);
+
+      const replacement = incoming.get(`${row.medium_number}:${row.position}`);
+      const newRecordingId = replacement?.recording?.id;
+      if (!replacement?.id || !newRecordingId || !row.recording_mbid) continue;
+
+      const merged = row.recording_mbid === newRecordingId || (
+        !incomingRecordingIds.has(row.recording_mbid) &&
+        await this.recordingMergedInto(row.recording_mbid, newRecordingId)
+      );
+      if (merged) {
+        await database.recordRedirect(row.mbid, replacement.id, 'track');
+      }
+    }
+
+    // Replaced tracks would otherwise linger alongside their successors
+    if (staleTrackIds.length > 0) {
+      await database.query('DELETE FROM tracks WHERE mbid = ANY($1)', [staleTrackIds]);
+      logger.info(`Release ${releaseMbid}: ${staleTrackIds.length} superseded track(s) replaced`);
+    }
+  }
+
+  // Whether MB now resolves a recording to `newMbid` — a lookup failure counts as no
+  async recordingMergedInto(oldMbid, newMbid) {
+    const mbProvider = registry.getProvider('musicbrainz');
+    if (!mbProvider) return false;
+
+    try {
+      const data = await mbProvider.getRecording(oldMbid);
+      return data.id === newMbid;
+    } catch (err) {
+      if (!err.message.includes('Resource not found')) {
+        logger.warn(`Could not check replaced recording ${oldMbid}: ${err.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Stored releases that MB no longer lists under their release group have either
+   * been merged into another release or deleted. A lookup of the old ID tells us which —
+   * the provider records the redirect — and the stale row is removed either way.
+   * Only call with a complete release list (browse endpoint), never a truncated one.
+   */
+  async reconcileMissingReleases(releaseGroupMbid, currentReleaseIds) {
+    const mbProvider = registry.getProvider('musicbrainz');
+    if (!mbProvider) return;
+
+    const current = new Set(currentReleaseIds);
+    const stored = await database.query(
+      'SELECT mbid FROM releases WHERE release_group_mbid = $1',
+      [releaseGroupMbid]
+    );
+    const missing = stored.rows.map(row => row.mbid).filter(id => !current.has(id));
+
+    for (const releaseMbid of missing) {
+      try {
+        const data = await mbProvider.getRelease(releaseMbid);
+        if (!data.id || data.id === releaseMbid) continue; // still exists — just moved or listed elsewhere
+        logger.info(`Release ${releaseMbid} was merged into ${data.id}, removing stale row`);
+      } catch (err) {
+        if (!err.message.includes('Resource not found')) {
+          logger.warn(`Could not check missing release ${releaseMbid}: ${err.message}`);
+          continue;
+        }
+        logger.info(`Release ${releaseMbid} no longer exists on MusicBrainz, removing stale row`);
+      }
+      await database.query('DELETE FROM releases WHERE mbid = $1', [releaseMbid]);
+    }
+  }
+
   async storeRecording(mbid, data) {
     const length = data.length || data.duration || null;
+    const isVideo = typeof data.video === 'boolean' ? data.video : null;
 
     await database.query(`
-      INSERT INTO recordings (mbid, title, disambiguation, length_ms)
-      VALUES ($1, $2, $3, $4)
+      INSERT INTO recordings (mbid, title, disambiguation, length_ms, is_video)
+      VALUES ($1, $2, $3, $4, COALESCE($5, FALSE))
       ON CONFLICT (mbid) DO UPDATE SET
         title = EXCLUDED.title,
         disambiguation = EXCLUDED.disambiguation,
         length_ms = EXCLUDED.length_ms,
+        is_video = COALESCE($5, recordings.is_video),
         last_updated_at = NOW()
     `, [
       mbid,
       data.title,
       data.disambiguation || '',
-      length
+      length,
+      isVideo
+    ]);
+
+    await this.storeRecordingCredits(mbid, data);
+  }
+
+  /**
+   * Replace a recording's ISRCs, artist credits and work relationships.
+   * Each set is only touched when the response included it (isrcs / artist-credits /
+   * work-rels incs), so a leaner fetch never wipes what a fuller one stored.
+   */
+  async storeRecordingCredits(mbid, data) {
+    if (Array.isArray(data.isrcs)) {
+      await database.query('DELETE FROM recording_isrcs WHERE recording_mbid = $1', [mbid]);
+      if (data.isrcs.length > 0) {
+        await database.query(`
+          INSERT INTO recording_isrcs (recording_mbid, isrc)
+          SELECT $1, unnest($2::text[])
+          ON CONFLICT DO NOTHING
+        `, [mbid, data.isrcs]);
+      }
+    }
+
+    if (Array.isArray(data['artist-credit'])) {
+      const artistCredit = data['artist-credit'].filter(ac => ac.artist?.id);
+      await database.query('DELETE FROM recording_artists WHERE recording_mbid = $1', [mbid]);
+      for (const [position, ac] of artistCredit.entries()) {
+        await database.query(`
+          INSERT INTO recording_artists (recording_mbid, position, artist_mbid, artist_name, credited_name, join_phrase)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [mbid, position, ac.artist.id, ac.artist.name, ac.name || null, ac.joinphrase || '']);
+      }
+    }
+
+    if (Array.isArray(data.relations)) {
+      const performances = data.relations.filter(rel => rel['target-type'] === 'work' && rel.work?.id);
+      await database.query('DELETE FROM recording_works WHERE recording_mbid = $1', [mbid]);
+      for (const rel of performances) {
+        await this.storeWork(rel.work);
+        await database.query(`
+          INSERT INTO recording_works (recording_mbid, work_mbid, attributes)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (recording_mbid, work_mbid) DO UPDATE SET attributes = EXCLUDED.attributes
+        `, [mbid, rel.work.id, rel.attributes || []]);
+      }
+    }
+  }
+
+  async storeWork(work) {
+    await database.query(`
+      INSERT INTO works (mbid, title, disambiguation, type, languages, iswcs)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (mbid) DO UPDATE SET
+        title = EXCLUDED.title,
+        disambiguation = EXCLUDED.disambiguation,
+        type = EXCLUDED.type,
+        languages = EXCLUDED.languages,
+        iswcs = EXCLUDED.iswcs,
+        last_updated_at = NOW()
+    `, [
+      work.id,
+      work.title,
+      work.disambiguation || '',
+      work.type || null,
+      work.languages || (work.language ? [work.language] : []),
+      work.iswcs || []
     ]);
+
+    // Composer, lyricist, writer... only present with work-level-rels
+    if (!Array.isArray(work.relations)) return;
+
+    const credits = work.relations.filter(rel => rel['target-type'] === 'artist' && rel.artist?.id);
+    await database.query('DELETE FROM work_artists WHERE work_mbid = $1', [work.id]);
+    for (const rel of credits) {
+      await database.query(`
+        INSERT INTO work_artists (work_mbid, artist_mbid, artist_name, role, attributes)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (work_mbid, artist_mbid, role) DO UPDATE SET attributes = EXCLUDED.attributes
+      `, [work.id, rel.artist.id, rel.artist.name, rel.type, rel.attributes || []]);
+    }
   }
 
   async storeTrack(trackId, data, releaseMbid, recordingMbid, mediumPosition) {
@@ -478,7 +787,7 @@ class ArtistService {
     const existing = await database.getArtist(mbid);
     if (existing && existing.ttl_expires_at && new Date(existing.ttl_expires_at) > new Date()) {
       logger.info(`Artist ${mbid} within TTL, skipping refresh`);
-      return;
+      return mbid;
     }
     logger.info(`Refreshing artist ${mbid} from MusicBrainz (TTL expired or manual refresh)`);
     
@@ -489,7 +798,15 @@ class ArtistService {
     
     // Fetch fresh artist data
     const artistData = await mbProvider.getArtist(mbid);
-    await this.storeArtist(mbid, artistData, true);
+    const canonicalMbid = artistData.id || mbid;
+    await this.storeArtist(canonicalMbid, artistData, true);
+
+    // Artist was merged upstream — drop the stale row so it stops being served as a duplicate
+    if (canonicalMbid !== mbid) {
+      logger.info(`Artist ${mbid} was merged into ${canonicalMbid}, removing stale row`);
+      await database.query('DELETE FROM artists WHERE mbid = $1', [mbid]);
+      mbid = canonicalMbid;
+    }
     
     // Fetch fresh album list
     const albums = await mbProvider.getArtistAlbums(mbid);
@@ -516,6 +833,7 @@ class ArtistService {
     }
     
     logger.info(`Artist ${mbid} refresh complete`);
+    return mbid;
   }
   
   /**
@@ -533,18 +851,25 @@ class ArtistService {
     const mbProvider = registry.getProvider('musicbrainz');
     if (!mbProvider) throw new Error('MusicBrainz provider not available');
 
+    // Serve the canonical artist if this MBID is known to have been merged
+    const requestedMbid = mbid;
+    mbid = await database.resolveRedirect(mbid, 'artist');
+    if (mbid !== requestedMbid) {
+      logger.info(`Artist ${requestedMbid} redirects to ${mbid}`);
+    }
+
     // Fetch/refresh artist record
     let artist = await database.getArtist(mbid);
     if (!artist) {
       logger.info(`Artist ${mbid} not in DB, fetching from MusicBrainz`);
-      await this.getArtist(mbid);
+      mbid = await this.getArtist(mbid);
     } else {
       logger.info(`Artist ${mbid} found in DB — ${this.isStale(artist) ? 'TTL expired, refreshing' : 'TTL valid, serving from cache'}`);
       logger.debug(`Artist ${mbid} TTL expires: ${artist.ttl_expires_at}`);
     }
     if (artist && this.isStale(artist)) {
       logger.info(`Artist ${mbid} TTL expired, refreshing`);
-      await this.refreshArtist(mbid);
+      mbid = await this.refreshArtist(mbid);
     }
 
     // Fetch release groups if none exist
@@ -587,11 +912,19 @@ class ArtistService {
    * Single entry point for album metadata.
    * Ensures release group + Official releases are in DB.
    * Called by both Lidarr endpoint and UI fetch button.
+   * `signal` (background jobs) aborts the MusicBrainz calls and stops between releases.
    */
-  async ensureAlbum(mbid, force = false) {
+  async ensureAlbum(mbid, force = false, { signal = null } = {}) {
     const mbProvider = registry.getProvider('musicbrainz');
     if (!mbProvider) throw new Error('MusicBrainz provider not available');
 
+    // Serve the canonical release group if this MBID is known to have been merged
+    const requestedMbid = mbid;
+    mbid = await database.resolveRedirect(mbid, 'album');
+    if (mbid !== requestedMbid) {
+      logger.info(`Album ${requestedMbid} redirects to ${mbid}`);
+    }
+
     const album = await database.getReleaseGroup(mbid);
     let needsFullFetch = false;
 
@@ -612,7 +945,12 @@ class ArtistService {
 
     if (!album) {
       logger.info(`Album ${mbid} not in DB, fetching from MusicBrainz`);
-      const releaseGroupData = await mbProvider.getReleaseGroup(mbid);
+      const releaseGroupData = await mbProvider.getReleaseGroup(mbid, { signal });
+
+      // Merged upstream — the provider has recorded the redirect, continue with the canonical ID
+      if (releaseGroupData.id && releaseGroupData.id !== mbid) {
+        return this.ensureAlbum(releaseGroupData.id, force, { signal });
+      }
 
       // Extract primary artist ID from correct MB data
       let artistId = null;
@@ -622,31 +960,8 @@ class ArtistService {
 
       await this.storeReleaseGroup(mbid, releaseGroupData, artistId);
 
-      // Fetch releases for this album — cap inline at 10 to avoid Lidarr timeout
-      const INLINE_RELEASE_CAP = 10;
-      const releases = await mbProvider.getReleasesByReleaseGroup(mbid);
-      const officialReleases = releases.filter(r => r.status === 'Official');
-      const toFetch = officialReleases.length > 0 ? officialReleases : releases;
-      const inlineReleases = toFetch.slice(0, INLINE_RELEASE_CAP);
-
-      needsFullFetch = toFetch.length > INLINE_RELEASE_CAP;
-      logger.info(`Album ${mbid}: ${toFetch.length} releases from MB (${officialReleases.length} official), fetching ${inlineReleases.length} inline${needsFullFetch ? `, ${toFetch.length - INLINE_RELEASE_CAP} deferred to fetch_album_full` : ', all inline'}`);
-      logger.debug(`Album ${mbid}: cap=${INLINE_RELEASE_CAP}, needsFullFetch=${needsFullFetch}`);
-
-      logger.info(`Album ${mbid}: fetching ${inlineReleases.length} of ${toFetch.length} releases inline`);
-
-      for (const release of inlineReleases) {
-        try {
-          const fullRelease = await mbProvider.getRelease(release.id);
-          await this.storeRelease(release.id, fullRelease);
-          logger.info(`Stored release ${release.id} for album ${mbid}`);
-        } catch (err) {
-          logger.error(`Failed to fetch release ${release.id}:`, err);
-        }
-      }
-
-      needsFullFetch = toFetch.length > INLINE_RELEASE_CAP;
-      if (needsFullFetch) logger.info(`Album ${mbid}: ${toFetch.length - INLINE_RELEASE_CAP} releases remain — caller must queue fetch_album_full`);
+      // Fetch releases for this album — first browse page only to avoid Lidarr timeout
+      ({ needsFullFetch } = await this.fetchFirstReleasePage(mbid, { signal }));
 
     } else {
       // Album exists - check releases
@@ -659,32 +974,27 @@ class ArtistService {
         logger.info(`Album ${mbid} exists but has no releases, fetching`);
 
         // Update release group with full data from MB (basic data was stored by ensureArtist)
-        const releaseGroupData = await mbProvider.getReleaseGroup(mbid);
+        const releaseGroupData = await mbProvider.getReleaseGroup(mbid, { signal });
+
+        // Merged upstream — drop the stale row and continue with the canonical ID
+        if (releaseGroupData.id && releaseGroupData.id !== mbid) {
+          logger.info(`Album ${mbid} was merged into ${releaseGroupData.id}, removing stale row`);
+          await database.query('DELETE FROM release_groups WHERE mbid = $1', [mbid]);
+          return this.ensureAlbum(releaseGroupData.id, force, { signal });
+        }
+
         const artistCredit2 = releaseGroupData.artistCredit || [];
         const artistId2 = artistCredit2.length > 0 ? artistCredit2[0].artist.id : null;
 
         await this.storeReleaseGroup(mbid, releaseGroupData, artistId2, { force: true });
 
-        const INLINE_RELEASE_CAP = 10;
-        const releases = await mbProvider.getReleasesByReleaseGroup(mbid);
-        const officialReleases = releases.filter(r => r.status === 'Official');
-        const toFetch2 = officialReleases.length > 0 ? officialReleases : releases;
-        const inlineReleases2 = toFetch2.slice(0, INLINE_RELEASE_CAP);
-        const needsFull2 = toFetch2.length > INLINE_RELEASE_CAP;
-        logger.info(`Album ${mbid} (exists, no releases): ${toFetch2.length} releases from MB (${officialReleases.length} official), fetching ${inlineReleases2.length} inline${needsFull2 ? `, ${toFetch2.length - INLINE_RELEASE_CAP} deferred to fetch_album_full` : ', all inline'}`);
-        logger.info(`Album ${mbid} (exists, no releases): fetching ${inlineReleases2.length} of ${toFetch2.length} releases inline`);
-        for (const release of inlineReleases2) {
-          try {
-            const fullRelease = await mbProvider.getRelease(release.id);
-            await this.storeRelease(release.id, fullRelease);
-            logger.info(`Stored release ${release.id}`);
-          } catch (err) {
-            logger.error(`Failed to fetch release ${release.id}:`, err);
-          }
-        }
+        const page = await this.fetchFirstReleasePage(mbid, { signal });
+        needsFullFetch = page.needsFullFetch;
 
-        needsFullFetch = toFetch2.length > INLINE_RELEASE_CAP;
-        if (needsFullFetch) logger.info(`Album ${mbid}: ${toFetch2.length - INLINE_RELEASE_CAP} releases remain — caller must queue fetch_album_full`);
+        // Only a complete list can tell us which stored releases MB no longer has
+        if (existingReleases.rows.length > 0 && page.complete) {
+          await this.reconcileMissingReleases(mbid, page.releaseIds);
+        }
       }
     }
 
@@ -692,6 +1002,84 @@ class ArtistService {
     return { formatted, needsFullFetch };
   }
 
+  /**
+   * Resolve a barcode or catalog number to releases, local DB first, then MusicBrainz search.
+   * MB matches are stored (release group via ensureAlbum, plus the matched release itself).
+   * Returns [{ releaseid, album }] with album in Lidarr format.
+   */
+  async lookupRelease({ barcode, catno, label = null }, limit = 5) {
+    let matches = barcode
+      ? await database.findReleasesByBarcode(barcode)
+      : await database.findReleasesByCatno(catno, label);
+    let source = 'local';
+
+    if (matches.length === 0) {
+      const mbProvider = registry.getProvider('musicbrainz');
+      if (!mbProvider) throw new Error('MusicBrainz provider not available');
+
+      const escape = value => value.replace(/(["\\])/g, '\\$1');
+      const query = barcode
+        ? `barcode:${escape(barcode)}`
+        : `catno:"${escape(catno)}"${label ? ` AND label:"${escape(label)}"` : ''}`;
+      const searchResults = (await mbProvider.searchRelease(query, limit)).filter(r => r.releaseGroupId);
+      source = 'musicbrainz';
+
+      matches = [];
+      for (const result of searchResults) {
+        try {
+          await this.ensureAlbum(result.releaseGroupId);
+          const stored = await database.query('SELECT 1 FROM releases WHERE mbid = $1', [result.id]);
+          if (stored.rows.length === 0) {
+            await this.storeRelease(result.id, await mbProvider.getRelease(result.id));
+          }
+          matches.push({ mbid: result.id, release_group_mbid: result.releaseGroupId });
+        } catch (error) {
+          logger.warn(`Lookup: failed to store release ${result.id}: ${error.message}`);
+        }
+      }
+    }
+
+    const results = [];
+    const albums = new Map();
+    for (const match of matches.slice(0, limit)) {
+      if (!albums.has(match.release_group_mbid)) {
+        albums.set(match.release_group_mbid, await lidarr.formatAlbum(match.release_group_mbid));
+      }
+      results.push({ releaseid: match.mbid, album: albums.get(match.release_group_mbid) });
+    }
+
+    logger.info(`Lookup ${barcode ? `barcode ${barcode}` : `catno ${catno}`}: ${results.length} release(s) from ${source}`);
+    return { source, results };
+  }
+
+  /**
+   * Inline release fetch for ensureAlbum: one browse page — up to 100 releases with their
+   * tracklists — in a single MB call. Stores the first INLINE_RELEASE_CAP of the page's
+   * official releases (of all of them if none are official). The rest, and further pages,
+   * are left to fetch_album_full.
+   */
+  async fetchFirstReleasePage(mbid, { signal = null } = {}) {
+    const mbProvider = registry.getProvider('musicbrainz');
+    const page = await mbProvider.browseReleaseGroupReleases(mbid, { signal });
+
+    const officialReleases = page.releases.filter(r => r.status === 'Official');
+    const candidates = officialReleases.length > 0 ? officialReleases : page.releases;
+    const toStore = candidates.slice(0, INLINE_RELEASE_CAP);
+    for (const release of toStore) {
+      signal?.throwIfAborted();
+      try {
+        await this.storeRelease(release.id, release);
+      } catch (err) {
+        logger.error(`Failed to store release ${release.id}:`, err);
+      }
+    }
+
+    const complete = page.releases.length >= page.total;
+    const needsFullFetch = !complete || candidates.length > toStore.length;
+    logger.info(`Album ${mbid}: stored ${toStore.length} of ${page.total} releases inline (${officialReleases.length} official on first page)${needsFullFetch ? ' — caller must queue fetch_album_full' : ''}`);
+    return { releaseIds: page.releases.map(r => r.id), complete, needsFullFetch };
+  }
+
   matchesStatusFilter(release) {
     const config = require('./config');
     const statusFilter = config.get('metadata.fetchTypes.releaseStatuses', ['Official']);
@@ -700,6 +1088,27 @@ class ArtistService {
     return statusFilter.includes(status);
   }
 
+  /**
+   * Check a release group against metadata.fetchTypes.albumTypes.
+   * Entries name MB primary types (Album, EP, Single, Broadcast, Other) and secondary types
+   * (Live, Compilation, ...); 'Studio' means a plain Album. A release group passes when its
+   * primary type is listed (any primary if none are) and every secondary type it carries
+   * is listed too. Empty list = no type filter.
+   */
+  matchesAlbumTypeFilter(primaryType, secondaryTypes) {
+    const config = require('./config');
+    const typeFilter = config.get('metadata.fetchTypes.albumTypes', ['Studio', 'EP', 'Single']);
+    if (!Array.isArray(typeFilter) || typeFilter.length === 0) return true;
+
+    const allowed = new Set(typeFilter.map(t => (t === 'Studio' ? 'Album' : t).toLowerCase()));
+    const listedPrimaries = PRIMARY_TYPES.filter(t => allowed.has(t));
+
+    const primary = (primaryType || 'Other').toLowerCase();
+    if (listedPrimaries.length > 0 && !allowed.has(primary)) return false;
+
+    return (secondaryTypes || []).every(t => allowed.has(t.toLowerCase()));
+  }
+
   // Formatting removed - use lidarr.js formatArtist() instead
 }
 
@@ -62,10 +62,9 @@ class ProviderRegistry {
           this.providers.set(name, provider);
           logger.info(`Provider initialized: ${name}`);
           
-          // Log MusicBrainz server URL
+          // Log MusicBrainz server URLs (in failover order)
           if (name === 'musicbrainz') {
-            const mbUrl = providerConfig.baseUrl || process.env.MUSICBRAINZ_URL || 'https://musicbrainz.org/ws/2';
-            logger.info(`MusicBrainz server: ${mbUrl}`);
+            logger.info(`MusicBrainz servers: ${provider.servers.map(s => s.url).join(' → ')}`);
           }
         } catch (error) {
           logger.error(`Failed to initialize provider ${name}:`, error);
@@ -0,0 +1,135 @@
+const { logger } = require('./logger');
+const { abortable } = require('./abort');
+
+/**
+ * RateLimiter - adaptive token bucket shared by every request a provider makes
+ *
+ * Refills at the provider's allowed rate. A 503/429 halves the current rate and pauses
+ * everyone for Retry-After (or DEFAULT_PAUSE_MS); each success then steps the rate back
+ * up toward the allowed rate. MusicBrainz's X-RateLimit-Remaining/Reset headers pause
+ * the bucket until the reset when the server says the allowance is spent.
+ * Waiters are served strictly in arrival order.
+ */
+
+const DEFAULT_PAUSE_MS = 5000;
+const MAX_PAUSE_MS = 120000;
+const MIN_RATE_FRACTION = 0.1;  // never slow below 10% of the allowed rate
+const RECOVERY_STEP = 0.05;     // each success recovers 5% of the allowed rate
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class RateLimiter {
+  constructor(name, { requests, period }) {
+    this.name = name;
+    this.allowedRate = requests / period; // tokens per ms
+    this.rate = this.allowedRate;
+    this.minRate = this.allowedRate * MIN_RATE_FRACTION;
+    this.capacity = Math.max(1, requests);
+    this.tokens = 1;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+    this.waiting = 0;
+    this.throttleCount = 0;
+    this.lastThrottleAt = null;
+  }
+
+  /**
+   * Resolves when the caller may send one request. An aborted `signal` rejects at once
+   * and gives up the caller's place in line.
+   */
+  acquire(signal = null) {
+    this.waiting++;
+    const turn = this.queue.then(() => {
+      signal?.throwIfAborted();
+      return this._take();
+    });
+    this.queue = turn.catch(() => {});
+    return abortable(turn, signal).finally(() => { this.waiting--; });
+  }
+
+  onSuccess(headers = {}) {
+    this._refill(Date.now());
+    if (this.rate < this.allowedRate) {
+      this.rate = Math.min(this.allowedRate, this.rate + this.allowedRate * RECOVERY_STEP);
+    }
+
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+    const reset = parseInt(headers['x-ratelimit-reset']);
+    if (remaining === 0 && reset > 0) {
+      this._pause(reset * 1000 - Date.now());
+    }
+  }
+
+  onThrottle(status, headers = {}) {
+    this._refill(Date.now());
+    this.rate = Math.max(this.minRate, this.rate / 2);
+    this.tokens = 0;
+    this.throttleCount++;
+    this.lastThrottleAt = new Date();
+
+    const pauseMs = this._parseRetryAfter(headers['retry-after']) ?? DEFAULT_PAUSE_MS;
+    this._pause(pauseMs);
+
+    logger.warn(`${this.name}: throttled (HTTP ${status}) — pausing ${Math.round(pauseMs / 1000)}s, rate now ${this._perSecond(this.rate)} req/s`);
+  }
+
+  getState() {
+    const now = Date.now();
+    return {
+      allowedPerSecond: this._perSecond(this.allowedRate),
+      currentPerSecond: this._perSecond(this.rate),
+      throttled: this.rate < this.allowedRate || this.pausedUntil > now,
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil) : null,
+      waiting: this.waiting,
+      throttleCount: this.throttleCount,
+      lastThrottleAt: this.lastThrottleAt
+    };
+  }
+
+  // ─── Private ─────────────────────────────────────────────
+
+  async _take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < this.pausedUntil) {
+        await sleep(this.pausedUntil - now);
+        this.lastRefill = Date.now(); // no refill while paused
+        continue;
+      }
+      this._refill(now);
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const waitMs = Math.ceil((1 - this.tokens) / this.rate);
+      logger.debug(`${this.name}: Rate limiting, waiting ${waitMs}ms`);
+      await sleep(waitMs);
+    }
+  }
+
+  _refill(now) {
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.rate);
+    this.lastRefill = now;
+  }
+
+  _pause(ms) {
+    if (!(ms > 0)) return;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + Math.min(ms, MAX_PAUSE_MS));
+  }
+
+  // Retry-After is either delta-seconds or an HTTP date
+  _parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  _perSecond(ratePerMs) {
+    return Math.round(ratePerMs * 1000 * 100) / 100;
+  }
+}
+
+module.exports = RateLimiter;
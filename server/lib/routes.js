@@ -9,6 +9,7 @@ const metaHandler = require('./metaHandler');
 const lidarr = require('./lidarr');
 const backgroundJobQueue = require('./backgroundJobQueue');
 const lidarrClient = require('./lidarrClient');
+const bulkRefresher = require('./bulkRefresher');
 const database = require('../sql/database');
 const multer = require('multer');
 const fs = require('fs').promises;
@@ -18,6 +19,14 @@ const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20
 
 const ARTIST_IMAGE_TYPES = ['Poster', 'Banner', 'Fanart', 'Logo', 'Clearart', 'Thumb'];
 const ALBUM_IMAGE_TYPES  = ['Cover', 'Disc', 'Clearart'];
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'failed'];
+const MAX_JOBS_PAGE = 500;
+// Column ranges of metadata_jobs.id (BIGSERIAL) and .priority (INTEGER)
+const MAX_JOB_ID = 9223372036854775807n;
+const MIN_PRIORITY = -2147483648;
+const MAX_PRIORITY = 2147483647;
+const MAX_LOOKUP_RESULTS = 25;
+const MBID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 const MIME_TO_EXT = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' };
 const IMAGES_BASE = path.join(__dirname, '../../data/images');
 
@@ -82,11 +91,122 @@ router.post('/jobs/kill-active', async (req, res, next) => {
       `UPDATE metadata_jobs SET status = 'failed', error_message = 'Killed by user', attempts = max_attempts
        WHERE status = 'processing' RETURNING id`
     );
+    result.rows.forEach(row => backgroundJobQueue.abortJob(row.id));
     logger.info(`Killed ${result.rows.length} active jobs`);
     res.json({ success: true, killed: result.rows.length });
   } catch (error) { next(error); }
 });
 
+// Job management — per-job listing, detail, retry, cancel and priority
+// ?type= and ?status= take comma-separated values; ?entity= / ?root= filter by MBID
+router.get('/jobs', async (req, res, next) => {
+  try {
+    const list = value => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null);
+    const status = list(req.query.status);
+    if (status && status.some(s => !JOB_STATUSES.includes(s))) {
+      return res.status(400).json({ error: `Invalid status. Allowed: ${JOB_STATUSES.join(', ')}` });
+    }
+    for (const param of ['entity', 'root']) {
+      if (req.query[param] && !MBID_PATTERN.test(req.query[param])) {
+        return res.status(400).json({ error: `${param} must be an MBID` });
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_JOBS_PAGE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { total, jobs } = await backgroundJobQueue.listJobs({
+      type: list(req.query.type),
+      status,
+      entityMbid: req.query.entity || null,
+      rootArtistMbid: req.query.root || null,
+      limit,
+      offset
+    });
+    res.json({ total, limit, offset, jobs });
+  } catch (error) { next(error); }
+});
+
+// An id past the bigint range would make Postgres fail the query
+const checkJobId = (req, res, next) => {
+  if (BigInt(req.params.id) > MAX_JOB_ID) {
+    return res.status(400).json({ error: 'Job id is out of range' });
+  }
+  next();
+};
+
+router.get('/jobs/:id(\\d+)', checkJobId, async (req, res, next) => {
+  try {
+    const job = await backgroundJobQueue.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    res.json(job);
+  } catch (error) { next(error); }
+});
+
+router.post('/jobs/:id(\\d+)/retry', checkJobId, async (req, res, next) => {
+  try {
+    if (await backgroundJobQueue.retryJob(req.params.id)) {
+      return res.json({ success: true, job: await backgroundJobQueue.getJob(req.params.id) });
+    }
+    const job = await backgroundJobQueue.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    res.status(409).json({ error: `Only failed jobs can be retried — job ${job.id} is ${job.status}` });
+  } catch (error) { next(error); }
+});
+
+router.post('/jobs/:id(\\d+)/cancel', checkJobId, async (req, res, next) => {
+  try {
+    if (await backgroundJobQueue.cancelJob(req.params.id)) {
+      return res.json({ success: true, job: await backgroundJobQueue.getJob(req.params.id) });
+    }
+    const job = await backgroundJobQueue.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    res.status(409).json({ error: `Only pending or processing jobs can be cancelled — job ${job.id} is ${job.status}` });
+  } catch (error) { next(error); }
+});
+
+router.post('/jobs/:id(\\d+)/priority', checkJobId, async (req, res, next) => {
+  try {
+    const priority = Number(req.body?.priority);
+    if (!Number.isInteger(priority) || priority < MIN_PRIORITY || priority > MAX_PRIORITY) {
+      return res.status(400).json({ error: `priority must be an integer from ${MIN_PRIORITY} to ${MAX_PRIORITY}` });
+    }
+    if (!(await backgroundJobQueue.setJobPriority(req.params.id, priority))) {
+      return res.status(404).json({ error: `Job ${req.params.id} not found` });
+    }
+    res.json({ success: true, job: await backgroundJobQueue.getJob(req.params.id) });
+  } catch (error) { next(error); }
+});
+
+// Artist job trees (fetch_artist_albums and everything it queued) — progress of the running
+// ones for the browser's progress bars, and one artist's full tree with per-job status and timing
+router.get('/jobs/trees', async (req, res, next) => {
+  try {
+    res.json(await backgroundJobQueue.getActiveJobTrees());
+  } catch (error) { next(error); }
+});
+
+router.get('/jobs/tree/:artistMbid', async (req, res, next) => {
+  try {
+    if (!MBID_PATTERN.test(req.params.artistMbid)) {
+      return res.status(400).json({ error: 'artistMbid must be an MBID' });
+    }
+    const tree = await backgroundJobQueue.getJobTree(req.params.artistMbid);
+    if (!tree) return res.status(404).json({ error: `No jobs for artist ${req.params.artistMbid}` });
+    res.json(tree);
+  } catch (error) { next(error); }
+});
+
+// Retry every failed job in an artist's job tree
+router.post('/jobs/tree/:artistMbid/retry', async (req, res, next) => {
+  try {
+    if (!MBID_PATTERN.test(req.params.artistMbid)) {
+      return res.status(400).json({ error: 'artistMbid must be an MBID' });
+    }
+    const retried = await backgroundJobQueue.retryTree(req.params.artistMbid);
+    res.json({ success: true, retried });
+  } catch (error) { next(error); }
+});
+
 router.post('/downloads/clear', async (req, res, next) => {
   try {
     const result = await database.query(
@@ -101,10 +221,11 @@ router.post('/downloads/clear', async (req, res, next) => {
 // System stats
 router.get('/stats', async (req, res, next) => {
   try {
-    const [dbStats, jobStats, imageDirBytes] = await Promise.all([
+    const [dbStats, jobStats, imageDirBytes, bulkRefresh] = await Promise.all([
       database.getStats(),
       backgroundJobQueue.getStats(),
-      getDirSizeBytes(IMAGES_BASE)
+      getDirSizeBytes(IMAGES_BASE),
+      bulkRefresher.getStatus()
     ]);
     
     // Calculate uptime
@@ -138,7 +259,8 @@ router.get('/stats', async (req, res, next) => {
       memory: {
         used_mb: memoryMB,
         total_mb: Math.round(memUsage.heapTotal / 1024 / 1024)
-      }
+      },
+      bulkRefresh
     });
   } catch (error) {
     next(error);
@@ -179,10 +301,9 @@ router.get('/search/artist', async (req, res, next) => {
 // Get artist by ID - Lidarr format
 router.get('/artist/:mbid', async (req, res, next) => {
   try {
-    const { mbid } = req.params;
-
     // Block special MusicBrainz entities from full processing
-    if (BLOCKED_ARTIST_MBIDS.has(mbid)) {
+    if (BLOCKED_ARTIST_MBIDS.has(req.params.mbid)) {
+      const { mbid } = req.params;
       logger.info(`Blocked artist ${mbid} (special MB entity), returning minimal response`);
       const formatted = await lidarr.formatArtist(mbid).catch(() => ({
         Id: mbid, ArtistName: 'Various Artists', Status: 'active',
@@ -191,7 +312,8 @@ router.get('/artist/:mbid', async (req, res, next) => {
       return res.json(formatted);
     }
 
-    // Check if we have the artist in DB
+    // Check if we have the artist in DB (following any recorded MB merge)
+    const mbid = await database.resolveRedirect(req.params.mbid, 'artist');
     const artist = await database.getArtist(mbid);
 
     if (artist) {
@@ -216,14 +338,14 @@ router.get('/artist/:mbid', async (req, res, next) => {
 
     // No data at all - fetch artist immediately
     logger.info(`Artist ${mbid} not in DB, fetching from MusicBrainz`);
-    await metaHandler.getArtist(mbid);
+    const canonicalMbid = await metaHandler.getArtist(mbid);
 
     // Queue fetch_artist_albums as the root job — spawns wiki/image children and
     // triggers Lidarr refresh when the entire tree completes.
-    await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', mbid, 5, null, null, mbid);
+    await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', canonicalMbid, 5, null, null, canonicalMbid);
 
     // Return formatted data
-    const formatted = await lidarr.formatArtist(mbid);
+    const formatted = await lidarr.formatArtist(canonicalMbid);
     res.json(formatted);
   } catch (error) {
     next(error);
@@ -233,7 +355,7 @@ router.get('/artist/:mbid', async (req, res, next) => {
 // Get album by ID - Lidarr format
 router.get('/album/:mbid', async (req, res, next) => {
   try {
-    const { mbid } = req.params;
+    const mbid = await database.resolveRedirect(req.params.mbid, 'album');
 
     const formatted = await lidarr.formatAlbum(mbid);
 
@@ -286,6 +408,97 @@ router.get('/search/album', async (req, res, next) => {
   }
 });
 
+// Artist relationship endpoints — band membership from stored "member of band" relationships:
+// a group's members, and the groups an artist has been a member of
+router.get('/artist/:mbid/members', async (req, res, next) => {
+  try {
+    const members = await database.getArtistMembers(req.params.mbid);
+    res.json({ mbid: req.params.mbid, members });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/artist/:mbid/groups', async (req, res, next) => {
+  try {
+    const groups = await database.getArtistGroups(req.params.mbid);
+    res.json({ mbid: req.params.mbid, groups });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Label with every cached release on it. Labels first seen through a release's label-info
+// are stubs — fetch the full label (type, country, links) on first view or once its TTL expires.
+router.get('/label/:mbid', async (req, res, next) => {
+  try {
+    const { mbid } = req.params;
+    let label = await database.getLabel(mbid);
+
+    if (!label || !label.ttl_expires_at || new Date(label.ttl_expires_at) < new Date()) {
+      try {
+        await metaHandler.getLabel(mbid);
+        label = await database.getLabel(mbid);
+      } catch (error) {
+        if (!label) {
+          return res.status(404).json({ error: `Label ${mbid} not found` });
+        }
+        logger.warn(`Failed to fetch label ${mbid}, serving cached data: ${error.message}`);
+      }
+    }
+
+    const [links, releases] = await Promise.all([
+      lidarr.getLinksForEntity('label', mbid),
+      database.getLabelReleases(mbid)
+    ]);
+
+    res.json({ ...label, links, releases });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Physical-media lookup — resolve a barcode / catalog number to a release + Lidarr album
+const lookupLimit = value => Math.min(Math.max(parseInt(value) || 5, 1), MAX_LOOKUP_RESULTS);
+
+router.get('/lookup/barcode/:code', async (req, res, next) => {
+  try {
+    const code = req.params.code.replace(/\s+/g, '');
+    if (!/^\d+$/.test(code)) {
+      return res.status(400).json({ error: 'Barcode must be numeric' });
+    }
+
+    const result = await metaHandler.lookupRelease({ barcode: code }, lookupLimit(req.query.limit));
+    if (result.results.length === 0) {
+      return res.status(404).json({ error: `No release found for barcode ${code}` });
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/lookup/catno', async (req, res, next) => {
+  try {
+    const { catno, label, limit } = req.query;
+    if (!catno) {
+      return res.status(400).json({ error: 'catno parameter is required' });
+    }
+    // A repeated parameter arrives as an array
+    if (typeof catno !== 'string' || (label !== undefined && typeof label !== 'string')) {
+      return res.status(400).json({ error: 'catno and label must be given once, as strings' });
+    }
+
+    const result = await metaHandler.lookupRelease({ catno, label: label || null }, lookupLimit(limit));
+    if (result.results.length === 0) {
+      return res.status(404).json({ error: `No release found for catalog number ${catno}` });
+    }
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Configuration endpoints
 router.get('/config', (req, res) => {
   const cfg = config.getAll();
@@ -367,7 +580,12 @@ router.get('/providers', (req, res) => {
     return {
       name: name,
       type: provider.name,
-      configured: true
+      configured: true,
+      rateLimiter: provider.rateLimiter ? provider.rateLimiter.getState() : null,
+      ...(provider.getServerStates && {
+        servers: provider.getServerStates(),
+        recentRequests: provider.recentRequests
+      })
     };
   });
   
@@ -457,9 +675,20 @@ router.get('/metadata/artist/:mbid', async (req, res, next) => {
       ORDER BY rg.first_release_date DESC NULLS LAST
     `, [mbid]);
     
+    const [members, groups, relations] = await Promise.all([
+      database.getArtistMembers(mbid),
+      database.getArtistGroups(mbid),
+      database.getArtistRelations(mbid)
+    ]);
+
     res.json({
       artist,
-      albums: albumsResult.rows
+      albums: albumsResult.rows,
+      relationships: {
+        members,
+        groups,
+        other: relations.filter(r => r.relation_type !== 'member of band')
+      }
     });
   } catch (error) {
     next(error);
@@ -477,8 +706,11 @@ router.get('/metadata/album-tracks/:mbid', async (req, res, next) => {
         t.title,
         t.position,
         t.medium_number,
-        t.length_ms
+        t.length_ms,
+        t.recording_mbid,
+        rec.is_video
       FROM tracks t
+      LEFT JOIN recordings rec ON rec.mbid = t.recording_mbid
       WHERE t.release_mbid = (
         SELECT r.mbid
         FROM releases r
@@ -490,15 +722,76 @@ router.get('/metadata/album-tracks/:mbid', async (req, res, next) => {
       )
       ORDER BY t.medium_number, t.position
     `, [mbid]);
+
+    const recordingMbids = result.rows.map(t => t.recording_mbid).filter(Boolean);
+    const credits = await database.getRecordingCredits([...new Set(recordingMbids)]);
     
     res.json({
-      tracks: result.rows
+      tracks: result.rows.map(t => ({
+        ...t,
+        ...(credits.get(t.recording_mbid) || { isrcs: [], artists: [], works: [] })
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/metadata/recording/:mbid', async (req, res, next) => {
+  try {
+    const { mbid } = req.params;
+
+    const result = await database.query(
+      'SELECT mbid, title, disambiguation, length_ms, is_video, last_updated_at FROM recordings WHERE mbid = $1',
+      [mbid]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    // Every stored track of this recording, with its release and album
+    const appearances = await database.query(`
+      SELECT t.mbid AS track_mbid, t.medium_number, t.position,
+        r.mbid AS release_mbid, r.title AS release_title, r.country, r.release_date,
+        rg.mbid AS album_mbid, rg.title AS album_title
+      FROM tracks t
+      JOIN releases r ON r.mbid = t.release_mbid
+      JOIN release_groups rg ON rg.mbid = r.release_group_mbid
+      WHERE t.recording_mbid = $1
+      ORDER BY r.release_date ASC NULLS LAST
+    `, [mbid]);
+
+    const recording = result.rows[0];
+    const credits = await database.getRecordingCredits([recording.mbid]);
+
+    res.json({
+      ...recording,
+      ...credits.get(recording.mbid),
+      appearances: appearances.rows
     });
   } catch (error) {
     next(error);
   }
 });
 
+router.get('/metadata/labels', async (req, res, next) => {
+  try {
+    const labels = await database.getAllLabelsWithCounts();
+    res.json(labels);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/metadata/isrc/:isrc', async (req, res, next) => {
+  try {
+    const recordings = await database.findRecordingsByIsrc(req.params.isrc);
+    res.json({ isrc: req.params.isrc, recordings });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Image browser endpoints
 router.get('/images/artist/:mbid', async (req, res, next) => {
   try {
@@ -726,6 +1019,27 @@ router.post('/refresh/artist/:mbid', async (req, res, next) => {
   }
 });
 
+// Bulk TTL refresh — status and manual trigger
+router.get('/refresh/bulk', async (req, res, next) => {
+  try {
+    res.json(await bulkRefresher.getStatus());
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/refresh/bulk', async (req, res, next) => {
+  try {
+    const result = await bulkRefresher.run();
+    if (!result) {
+      return res.status(409).json({ error: 'Bulk refresh already running' });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Lidarr integration endpoints
 router.get('/lidarr/status', (req, res) => {
   res.json(lidarrClient.getStats());
@@ -1,7 +1,19 @@
+const crypto = require('crypto');
 const { registry } = require('./providerRegistry');
 const { logger } = require('./logger');
+const config = require('./config');
+const database = require('../sql/database');
 const metaHandler = require('./metaHandler');
 const lidarr = require('./lidarr');
+const backgroundJobQueue = require('./backgroundJobQueue');
+
+const SEARCH_TYPES = ['artist', 'album', 'all', 'recording'];
+const SEARCH_MODES = ['musicbrainz', 'local', 'merge'];
+const DEFAULT_SEARCH_TTL = 86400;
+const DEFAULT_HYDRATION_CONCURRENCY = 4;
+const DEFAULT_TIME_BUDGET_MS = 10000;
+
+let cleanupInterval = null;
 
 /**
  * Lidarr search — replicates oldLMD's /search endpoint exactly.
@@ -9,77 +21,227 @@ const lidarr = require('./lidarr');
  *   type=artist → flat array of artist objects
  *   type=album  → flat array of full album objects
  *   type=all    → array of { album, artist, score } wrappers
+ *   type=recording → array of { recording, album, score } — each track with its containing album
+ * Modes (search.mode config, or ?mode= per request):
+ *   musicbrainz → MusicBrainz search only (default)
+ *   local       → cached artists/albums first, MusicBrainz only when nothing local matches
+ *   merge       → local and MusicBrainz hits together, deduped by MBID, sorted by score
+ * Hits are hydrated in parallel within search.timeBudgetMs — see hydrateHits.
+ * Formatted results are persisted in search_cache (cache.searchTtl) before any metadata
+ * profile is applied, so a repeat search costs no MusicBrainz calls for any profile.
+ * Responses containing partial records are not cached.
  */
-async function lidarrSearch(query, type, { limit = 10, artist: artistFilter, includeTracks } = {}) {
+async function lidarrSearch(query, type, { limit = 10, artist: artistFilter, includeTracks, profile, mode } = {}) {
+  if (typeof query !== 'string') {
+    return { error: 'query must be given once, as a string', status: 400 };
+  }
   if (!type) {
     return { error: 'Type not provided', status: 400 };
   }
+  if (!SEARCH_TYPES.includes(type)) {
+    return { error: `Unsupported search type ${type}`, status: 400 };
+  }
+  mode = mode || config.get('search.mode', 'musicbrainz');
+  if (!SEARCH_MODES.includes(mode)) {
+    return { error: `Unsupported search mode ${mode}`, status: 400 };
+  }
+
+  const ttl = parseInt(config.get('cache.searchTtl', DEFAULT_SEARCH_TTL));
+  const normalizedQuery = query.trim().toLowerCase();
+  const cacheKey = crypto.createHash('sha1')
+    .update(JSON.stringify([type, mode, normalizedQuery, artistFilter || null, limit, !!includeTracks]))
+    .digest('hex');
+
+  if (ttl > 0) {
+    try {
+      const cached = await database.getSearchCache(cacheKey);
+      if (cached) {
+        logger.info(`Search: serving "${query}" (type=${type}) from search cache`);
+        return applyProfile(cached, type, profile);
+      }
+    } catch (err) {
+      logger.warn(`Search cache read failed: ${err.message}`);
+    }
+  }
+
+  const budgetMs = parseInt(config.get('search.timeBudgetMs', DEFAULT_TIME_BUDGET_MS));
+  const ctx = { mode, deadline: Date.now() + budgetMs, partial: false };
 
+  let results;
   if (type === 'artist') {
-    return await searchArtists(query, limit);
+    results = await searchArtists(query, limit, ctx);
   } else if (type === 'album') {
-    return await searchAlbums(query, limit, artistFilter, includeTracks);
-  } else if (type === 'all') {
-    return await searchAll(query, limit, includeTracks);
+    results = await searchAlbums(query, limit, artistFilter, includeTracks, ctx);
+  } else if (type === 'recording') {
+    results = await searchRecordings(query, limit, artistFilter, includeTracks, ctx);
   } else {
-    return { error: `Unsupported search type ${type}`, status: 400 };
+    results = await searchAll(query, limit, includeTracks, ctx);
   }
-}
 
-async function searchArtists(query, limit) {
-  const mbProvider = registry.getProvider('musicbrainz');
-  if (!mbProvider) return [];
+  if (ttl > 0 && !ctx.partial) {
+    database.setSearchCache(cacheKey, { searchType: type, query: normalizedQuery, artistFilter, results }, ttl)
+      .catch(err => logger.warn(`Search cache write failed: ${err.message}`));
+  }
 
-  const searchResults = await mbProvider.searchArtist(query, limit);
-  const results = [];
+  return applyProfile(results, type, profile);
+}
+
+/**
+ * Drop expired search_cache rows hourly, until stopSearchCacheCleanup().
+ */
+function startSearchCacheCleanup() {
+  if (cleanupInterval) return cleanupInterval;
 
-  for (const result of searchResults) {
+  const cleanup = async () => {
     try {
-      await metaHandler.storeArtist(result.id, await mbProvider.getArtist(result.id), true);
-      const formatted = await lidarr.formatArtist(result.id);
-      const { Albums, ...artistWithoutAlbums } = formatted;
-      results.push(artistWithoutAlbums);
+      const removed = await database.cleanupSearchCache();
+      if (removed > 0) {
+        logger.info(`Cleaned up ${removed} expired search cache entries`);
+      }
     } catch (err) {
-      logger.error(`Search: failed to format artist ${result.id}: ${err.message}`);
+      logger.error('Search cache cleanup error:', err);
     }
-  }
+  };
+  cleanup();
+  cleanupInterval = setInterval(cleanup, 3600000);
+  return cleanupInterval;
+}
 
-  logger.info(`Search: found ${results.length} artists for "${query}"`);
-  return results;
+function stopSearchCacheCleanup() {
+  clearInterval(cleanupInterval);
+  cleanupInterval = null;
 }
 
-async function searchAlbums(query, limit, artistFilter, includeTracks) {
-  const mbProvider = registry.getProvider('musicbrainz');
-  if (!mbProvider) return [];
+function applyProfile(results, type, profile) {
+  if (!profile) return results;
 
-  const searchResults = await mbProvider.searchAlbum(query, artistFilter || null, limit);
-  const results = [];
+  const albumAllowed = album => lidarr.albumMatchesProfile(album.type, album.secondarytypes, null, profile);
+
+  if (type === 'artist') {
+    return results.map(a => lidarr.applyProfileToArtist(a, profile));
+  }
+  if (type === 'album') {
+    return results.filter(albumAllowed).map(a => lidarr.applyProfileToAlbum(a, profile));
+  }
+  if (type === 'recording') {
+    return results
+      .filter(r => albumAllowed(r.album))
+      .map(r => ({ ...r, album: lidarr.applyProfileToAlbum(r.album, profile) }));
+  }
+  return results
+    .filter(r => !r.album || albumAllowed(r.album))
+    .map(r => ({
+      ...r,
+      artist: r.artist && lidarr.applyProfileToArtist(r.artist, profile),
+      album: r.album && lidarr.applyProfileToAlbum(r.album, profile)
+    }));
+}
+
+// ─── Hit lookup ─────────────────────────────────────────────────────────────
 
-  for (const result of searchResults) {
+/**
+ * Collect { id, score, local, result } hits for a search mode. Local hits are already in the
+ * DB and get formatted without touching MusicBrainz; MB hits are stored before formatting.
+ * Scores are 0-100 on both sides so type=all can sort artists and albums together.
+ */
+async function findHits(mode, limit, localSearchFn, mbSearchFn) {
+  let local = [];
+  if (mode !== 'musicbrainz' && database.localSearchAvailable) {
     try {
-      // Store album and its releases in DB (same as ensureAlbum path)
-      await metaHandler.ensureAlbum(result.id);
-      const formatted = await lidarr.formatAlbum(result.id);
+      local = (await localSearchFn()).map(hit => ({ ...hit, local: true }));
+    } catch (err) {
+      logger.warn(`Local search failed, using MusicBrainz: ${err.message}`);
+    }
+  }
+  if (mode === 'local' && local.length > 0) return local;
 
-      // oldLMD strips releases unless includeTracks is requested
-      if (!includeTracks) {
-        formatted.releases = [];
+  const mbProvider = registry.getProvider('musicbrainz');
+  const remote = mbProvider
+    ? (await mbSearchFn(mbProvider)).map(r => ({ id: r.id, score: r.score || 100, local: false, result: r }))
+    : [];
+  if (mode !== 'merge') return remote;
+
+  const localIds = new Set(local.map(hit => hit.id));
+  return [...local, ...remote.filter(hit => !localIds.has(hit.id))]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// ─── Hydration ──────────────────────────────────────────────────────────────
+
+/**
+ * Hydrate hits with at most search.hydrationConcurrency in flight. Local hits only read
+ * the DB and are always hydrated first; MusicBrainz hits run until the request's time
+ * budget (ctx.deadline) runs out. Those not done by then come back as partial records
+ * built from the search result, and their full fetch is queued in the background.
+ * A hydration already in flight keeps running and still lands in the DB.
+ * Failed hits are dropped, as before. Output keeps hit order.
+ */
+async function hydrateHits(hits, ctx, { hydrate, partial, queueFetch }) {
+  const concurrency = Math.max(1, parseInt(config.get('search.hydrationConcurrency', DEFAULT_HYDRATION_CONCURRENCY)));
+  const done = new Array(hits.length).fill(undefined);
+
+  const runAll = (indices, withinBudget) => {
+    const queue = [...indices];
+    const worker = async () => {
+      while (queue.length > 0 && (!withinBudget || Date.now() < ctx.deadline)) {
+        const index = queue.shift();
+        try {
+          done[index] = await hydrate(hits[index]);
+        } catch (err) {
+          logger.error(`Search: failed to format ${hits[index].id}: ${err.message}`);
+          done[index] = null;
+        }
       }
+    };
+    return Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+  };
 
-      results.push(formatted);
-    } catch (err) {
-      logger.error(`Search: failed to format album ${result.id}: ${err.message}`);
+  const indices = hits.map((hit, index) => index);
+  await runAll(indices.filter(index => hits[index].local), false);
+
+  let budgetTimer;
+  const budget = new Promise(resolve => {
+    budgetTimer = setTimeout(resolve, Math.max(0, ctx.deadline - Date.now()));
+  });
+  await Promise.race([runAll(indices.filter(index => !hits[index].local), true), budget]);
+  clearTimeout(budgetTimer);
+
+  const results = [];
+  let partialCount = 0;
+  hits.forEach((hit, index) => {
+    if (done[index]) {
+      results.push({ data: done[index], score: hit.score });
+    } else if (done[index] === undefined) {
+      ctx.partial = true;
+      partialCount++;
+      results.push({ data: partial(hit.result), score: hit.score });
+      queueFetch(hit).catch(err => logger.error(`Search: failed to queue background fetch for ${hit.id}:`, err));
     }
+  });
+
+  if (partialCount > 0) {
+    logger.info(`Search: time budget exhausted, ${partialCount} of ${hits.length} result(s) returned partial`);
   }
+  return results;
+}
+
+async function searchArtists(query, limit, ctx) {
+  const results = (await searchArtistsWithScores(query, limit, ctx)).map(r => r.data);
+  logger.info(`Search: found ${results.length} artists for "${query}"`);
+  return results;
+}
 
+async function searchAlbums(query, limit, artistFilter, includeTracks, ctx) {
+  const results = (await searchAlbumsWithScores(query, limit, includeTracks, ctx, artistFilter)).map(r => r.data);
   logger.info(`Search: found ${results.length} albums for "${query}"`);
   return results;
 }
 
-async function searchAll(query, limit, includeTracks) {
+async function searchAll(query, limit, includeTracks, ctx) {
   const [artists, albums] = await Promise.all([
-    searchArtistsWithScores(query, limit),
-    searchAlbumsWithScores(query, limit, includeTracks)
+    searchArtistsWithScores(query, limit, ctx),
+    searchAlbumsWithScores(query, limit, includeTracks, ctx)
   ]);
 
   const results = [
@@ -94,50 +256,93 @@ async function searchAll(query, limit, includeTracks) {
   return results;
 }
 
-async function searchArtistsWithScores(query, limit) {
-  const mbProvider = registry.getProvider('musicbrainz');
-  if (!mbProvider) return [];
-
-  const searchResults = await mbProvider.searchArtist(query, limit);
-  const results = [];
+async function searchArtistsWithScores(query, limit, ctx) {
+  const hits = await findHits(ctx.mode, limit,
+    () => database.searchLocalArtists(query, limit),
+    mbProvider => mbProvider.searchArtist(query, limit));
 
-  for (const result of searchResults) {
-    try {
-      await metaHandler.storeArtist(result.id, await mbProvider.getArtist(result.id), true);
-      const formatted = await lidarr.formatArtist(result.id);
+  return hydrateHits(hits, ctx, {
+    hydrate: async (hit) => {
+      if (!hit.local) {
+        const mbProvider = registry.getProvider('musicbrainz');
+        await metaHandler.storeArtist(hit.id, await mbProvider.getArtist(hit.id), true);
+      }
+      const formatted = await lidarr.formatArtist(hit.id);
       const { Albums, ...artistWithoutAlbums } = formatted;
-      results.push({ data: artistWithoutAlbums, score: result.score || 100 });
-    } catch (err) {
-      logger.error(`Search: failed to format artist ${result.id}: ${err.message}`);
-    }
-  }
-
-  return results;
+      return artistWithoutAlbums;
+    },
+    partial: result => lidarr.formatPartialArtist(result),
+    queueFetch: hit => backgroundJobQueue.queueJob('fetch_artist', 'artist', hit.id, 1)
+  });
 }
 
-async function searchAlbumsWithScores(query, limit, includeTracks) {
-  const mbProvider = registry.getProvider('musicbrainz');
-  if (!mbProvider) return [];
-
-  const searchResults = await mbProvider.searchAlbum(query, null, limit);
-  const results = [];
+async function searchAlbumsWithScores(query, limit, includeTracks, ctx, artistFilter = null) {
+  const hits = await findHits(ctx.mode, limit,
+    () => database.searchLocalAlbums(query, artistFilter, limit),
+    mbProvider => mbProvider.searchAlbum(query, artistFilter, limit));
 
-  for (const result of searchResults) {
-    try {
-      await metaHandler.ensureAlbum(result.id);
-      const formatted = await lidarr.formatAlbum(result.id);
+  return hydrateHits(hits, ctx, {
+    hydrate: async (hit) => {
+      // Store album and its releases in DB (same as ensureAlbum path)
+      if (!hit.local) {
+        await metaHandler.ensureAlbum(hit.id);
+      }
+      const formatted = await lidarr.formatAlbum(hit.id);
 
+      // oldLMD strips releases unless includeTracks is requested
       if (!includeTracks) {
         formatted.releases = [];
       }
+      return formatted;
+    },
+    partial: result => lidarr.formatPartialAlbum(result),
+    queueFetch: hit => backgroundJobQueue.queueJob('fetch_album_full', 'release_group', hit.id, 1)
+  });
+}
 
-      results.push({ data: formatted, score: result.score || 100 });
-    } catch (err) {
-      logger.error(`Search: failed to format album ${result.id}: ${err.message}`);
-    }
-  }
+/**
+ * Recording (track) search. Local hits come from stored tracks; MusicBrainz hits carry the
+ * release group of their preferred release, which is ensured like an album search hit.
+ * Recordings MB knows only as standalone (no release) are skipped — there's no album to return.
+ */
+async function searchRecordings(query, limit, artistFilter, includeTracks, ctx) {
+  const hits = await findHits(ctx.mode, limit,
+    () => database.searchLocalRecordings(query, artistFilter, limit),
+    async mbProvider => (await mbProvider.searchRecording(query, artistFilter, limit)).filter(r => r.releaseGroup));
 
-  return results;
+  const formatRecording = rec => {
+    const artistCredit = rec.artistCredit || [];
+    return {
+      id: rec.id,
+      title: rec.title,
+      artistid: artistCredit.length > 0 && artistCredit[0].artist ? artistCredit[0].artist.id : '',
+      durationms: rec.length || 0
+    };
+  };
+
+  const results = await hydrateHits(hits, ctx, {
+    hydrate: async (hit) => {
+      const rec = hit.local ? hit : hit.result;
+      const releaseGroupMbid = hit.local ? hit.releaseGroupMbid : hit.result.releaseGroup.id;
+
+      if (!hit.local) {
+        await metaHandler.ensureAlbum(releaseGroupMbid);
+      }
+      const album = await lidarr.formatAlbum(releaseGroupMbid);
+      if (!includeTracks) {
+        album.releases = [];
+      }
+      return { recording: formatRecording(rec), album };
+    },
+    partial: result => ({
+      recording: formatRecording(result),
+      album: lidarr.formatPartialAlbum({ ...result.releaseGroup, artistCredit: result.artistCredit })
+    }),
+    queueFetch: hit => backgroundJobQueue.queueJob('fetch_album_full', 'release_group', hit.result.releaseGroup.id, 1)
+  });
+
+  logger.info(`Search: found ${results.length} recordings for "${query}"`);
+  return results.map(r => ({ score: r.score, recording: r.data.recording, album: r.data.album }));
 }
 
-module.exports = { lidarrSearch };
+module.exports = { lidarrSearch, startSearchCacheCleanup, stopSearchCacheCleanup };
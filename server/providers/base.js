@@ -2,6 +2,9 @@ const axios = require('axios');
 const { logger } = require('../lib/logger');
 const cache = require('../lib/cache');
 const { logConnection } = require('../lib/request');
+const RateLimiter = require('../lib/rateLimiter');
+const httpFixtures = require('../lib/httpFixtures');
+const { isAbortError, abortable, sleep } = require('../lib/abort');
 
 class BaseProvider {
   constructor(name, config) {
@@ -9,34 +12,44 @@ class BaseProvider {
     this.config = config;
     this.client = null;
     this.rateLimiter = null;
+    this.inFlight = new Map(); // cacheKey -> { promise, controller, ... }, shared by concurrent cachedRequest callers
   }
 
   async initialize() {
+    const { client, rateLimiter } = this.createClient(this.config.baseUrl, this.config.rateLimit);
+    this.client = client;
+    this.rateLimiter = rateLimiter;
+  }
+
+  /**
+   * axios instance with our User-Agent, optional rate limiter, error mapping and
+   * connection logging. `label` names the limiter and connection-feed entries.
+   */
+  createClient(baseUrl, rateLimit, label = this.name) {
     const pkg = require('../../package.json');
     
     // Create axios instance with base configuration
-    this.client = axios.create({
-      baseURL: this.config.baseUrl,
+    const client = axios.create({
+      baseURL: baseUrl,
       timeout: 30000,
       headers: {
         'User-Agent': `${pkg.name}/${pkg.version} ( ${pkg.repository?.url || pkg.homepage || 'https://github.com/yourusername/nuLMD'} )`
-      }
+      },
+      ...httpFixtures.axiosConfig()
     });
 
-    // Add request interceptor for rate limiting
-    if (this.config.rateLimit) {
-      this.setupRateLimiter();
-    }
+    // Add request interceptor for rate limiting (replayed fixtures never reach the server)
+    const pace = rateLimit && httpFixtures.getMode() !== 'replay';
+    const rateLimiter = pace ? this.setupRateLimiter(client, rateLimit, label) : null;
 
     // Add response interceptor for error handling
-    this.client.interceptors.response.use(
+    client.interceptors.response.use(
       response => response,
       error => this.handleError(error)
     );
 
     // Log every real outbound HTTP request to the connections feed
-    const providerName = this.name;
-    this.client.interceptors.request.use(config => {
+    client.interceptors.request.use(config => {
       try {
         const base = (config.baseURL || '').replace(/\/$/, '');
         const path = (config.url || '');
@@ -48,40 +61,62 @@ class BaseProvider {
           : '';
         logConnection({
           direction: 'outbound',
-          label: providerName,
+          label,
           detail: base + path + params,
           status: 'ok'
         });
       } catch (_) {}
       return config;
     });
+
+    return { client, rateLimiter };
   }
 
-  setupRateLimiter() {
-    const { requests, period } = this.config.rateLimit;
-    const delay = period / requests;
-    let queue = Promise.resolve();
-
-    this.client.interceptors.request.use(config => {
-      // Chain all requests through a single queue to prevent concurrent firing
-      queue = queue.then(async () => {
-        const now = Date.now();
-        if (!this._lastRequestTime) this._lastRequestTime = 0;
-        const timeSinceLastRequest = now - this._lastRequestTime;
-
-        if (timeSinceLastRequest < delay) {
-          const waitTime = delay - timeSinceLastRequest;
-          logger.debug(`${this.name}: Rate limiting, waiting ${waitTime}ms`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+  setupRateLimiter(client, rateLimit, label) {
+    // One adaptive bucket per client — every request and retry waits on it
+    const rateLimiter = new RateLimiter(label, rateLimit);
 
-        this._lastRequestTime = Date.now();
-      });
-      return queue.then(() => config);
+    client.interceptors.request.use(async config => {
+      await rateLimiter.acquire(config.signal);
+      return config;
     });
+
+    client.interceptors.response.use(
+      response => {
+        rateLimiter.onSuccess(response.headers);
+        return response;
+      },
+      error => {
+        const status = error.response?.status;
+        if (status === 503 || status === 429) {
+          rateLimiter.onThrottle(status, error.response.headers);
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return rateLimiter;
+  }
+
+  // Whether throttling is paced by a rate limiter — retries then wait on it instead of backing off
+  hasRateLimiter() {
+    return !!this.rateLimiter;
   }
 
   async handleError(error) {
+    // Aborted by the caller (cancelled job) — surface the abort reason, never retried or failed over
+    if (axios.isCancel(error)) {
+      throw error.config?.signal?.reason || error;
+    }
+    // Aborted before it was sent (e.g. while queued in the rate limiter)
+    if (isAbortError(error)) throw error;
+
+    // Keep the HTTP status / socket code on the mapped error so callers (e.g. failover) can inspect it
+    const fail = message => Object.assign(new Error(message), {
+      status: error.response?.status || null,
+      code: error.code
+    });
+
     if (error.response) {
       // Server responded with error status
       // 404 is normal for CoverArtArchive - not all albums have cover art
@@ -92,18 +127,26 @@ class BaseProvider {
       });
       
       if (error.response.status === 404) {
-        throw new Error(`${this.name}: Resource not found`);
+        throw fail(`${this.name}: Resource not found`);
       }
       
       if (error.response.status === 429) {
-        throw new Error(`${this.name}: Rate limit exceeded`);
+        throw fail(`${this.name}: Rate limit exceeded`);
+      }
+
+      // MusicBrainz answers 503 when over its rate limit
+      if (error.response.status === 503) {
+        throw fail(`${this.name}: Service unavailable (503)`);
       }
       
       if (error.response.status === 401 || error.response.status === 403) {
-        throw new Error(`${this.name}: Authentication failed. Check your API credentials.`);
+        throw fail(`${this.name}: Authentication failed. Check your API credentials.`);
       }
       
-      throw new Error(`${this.name}: API error (${error.response.status})`);
+      throw fail(`${this.name}: API error (${error.response.status})`);
+    } else if (error.code === 'ENOFIXTURE') {
+      // Replay mode with no recorded response — not a transient failure, don't retry
+      throw fail(`${this.name}: ${error.message}`);
     } else if (error.request) {
       // Request made but no response (connection error, timeout, etc)
       const errorCode = error.code || 'UNKNOWN';
@@ -111,23 +154,65 @@ class BaseProvider {
       
       // ECONNRESET means connection was dropped - could be rate limiting or server issue
       if (errorCode === 'ECONNRESET') {
-        throw new Error(`${this.name}: Connection reset by server (possible rate limit or timeout)`);
+        throw fail(`${this.name}: Connection reset by server (possible rate limit or timeout)`);
       }
       
-      throw new Error(`${this.name}: Service unavailable (${errorCode})`);
+      throw fail(`${this.name}: Service unavailable (${errorCode})`);
     } else {
       logger.error(`${this.name}: Request setup error`, error.message);
-      throw new Error(`${this.name}: ${error.message}`);
+      throw fail(`${this.name}: ${error.message}`);
     }
   }
 
-  async cachedRequest(cacheKey, requestFn, ttl = null) {
+  /**
+   * Serve from cache or run requestFn(signal), sharing one in-flight request per key.
+   * With a `signal` the caller stops waiting as soon as it aborts; the shared request
+   * (passed its own signal) is aborted once no caller is left waiting for it.
+   */
+  async cachedRequest(cacheKey, requestFn, ttl = null, signal = null) {
+    signal?.throwIfAborted();
+
     // Check cache first
     const cached = cache.get(cacheKey);
     if (cached) {
       return cached;
     }
 
+    // Coalesce: concurrent callers for the same key share one request (and its retries)
+    let entry = this.inFlight.get(cacheKey);
+    if (entry) {
+      logger.debug(`${this.name}: Joining in-flight request for ${cacheKey}`);
+    } else {
+      const controller = new AbortController();
+      entry = { controller, waiters: 0, pinned: false };
+      entry.promise = this._requestWithRetry(cacheKey, () => requestFn(controller.signal), ttl, controller.signal)
+        .finally(() => this._dropInFlight(cacheKey, entry));
+      this.inFlight.set(cacheKey, entry);
+    }
+
+    // A caller that can't be cancelled keeps the request alive for everyone
+    if (!signal) {
+      entry.pinned = true;
+      return entry.promise;
+    }
+
+    entry.waiters++;
+    try {
+      return await abortable(entry.promise, signal);
+    } finally {
+      entry.waiters--;
+      if (signal.aborted && entry.waiters === 0 && !entry.pinned) {
+        this._dropInFlight(cacheKey, entry);
+        entry.controller.abort();
+      }
+    }
+  }
+
+  _dropInFlight(cacheKey, entry) {
+    if (this.inFlight.get(cacheKey) === entry) this.inFlight.delete(cacheKey);
+  }
+
+  async _requestWithRetry(cacheKey, requestFn, ttl, signal = null) {
     // Make request with retry on transient errors (5 attempts with exponential backoff)
     const maxRetries = 10;
     let lastError;
@@ -146,6 +231,8 @@ class BaseProvider {
         }
         return result;
       } catch (error) {
+        if (isAbortError(error)) throw error;
+
         lastError = error;
         const isRetryable = error.message && (
           error.message.includes('Connection reset') ||
@@ -156,9 +243,11 @@ class BaseProvider {
           error.message.includes('socket hang up')
         );
         if (isRetryable && attempt < maxRetries) {
-          const backoff = attempt * 3000; // 3s, 6s, 9s, 12s
-          logger.warn(`${this.name}: Request failed (attempt ${attempt}/${maxRetries}): ${error.message} - will retry in ${backoff / 1000}s`);
-          await new Promise(resolve => setTimeout(resolve, backoff));
+          // Throttling is paced by the shared rate limiter, which already paused for Retry-After
+          const throttled = error.message.includes('Rate limit exceeded') || error.message.includes('(503)');
+          const backoff = throttled && this.hasRateLimiter() ? 0 : attempt * 3000; // 3s, 6s, 9s, 12s
+          logger.warn(`${this.name}: Request failed (attempt ${attempt}/${maxRetries}): ${error.message} - ${backoff ? `will retry in ${backoff / 1000}s` : 'retrying when the rate limiter allows'}`);
+          await sleep(backoff, signal);
         } else if (!isRetryable) {
           logger.warn(`${this.name}: Non-retryable error for ${cacheKey}: ${error.message}`);
           throw error;
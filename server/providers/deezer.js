@@ -2,6 +2,7 @@ const axios = require('axios');
 const { logger } = require('../lib/logger');
 const database = require('../sql/database');
 const { logConnection } = require('../lib/request');
+const httpFixtures = require('../lib/httpFixtures');
 
 /**
  * Deezer Provider — free, no API key required
@@ -15,6 +16,7 @@ class DeezerProvider {
     this.name = 'deezer';
     this.baseURL = 'https://api.deezer.com';
     this.timeout = 5000;
+    this.http = axios.create(httpFixtures.axiosConfig());
     // Cache: artistName → Map<normalizedTitle, { coverUrl, deezerAlbumId, fans }>
     this._albumMapCache = new Map();
     this._albumMapCacheTime = new Map();
@@ -50,7 +52,7 @@ class DeezerProvider {
 
     try {
       logConnection({ direction: 'outbound', label: 'Deezer', detail: `${this.baseURL}/search/artist?q=${encodeURIComponent(artistName)}`, status: 'ok' });
-      const response = await axios.get(`${this.baseURL}/search/artist`, {
+      const response = await this.http.get(`${this.baseURL}/search/artist`, {
         params: { q: artistName, limit: 5 },
         timeout: this.timeout
       });
@@ -115,7 +117,7 @@ class DeezerProvider {
 
     try {
       logConnection({ direction: 'outbound', label: 'Deezer', detail: `${this.baseURL}/artist/${artist.id}/albums`, status: 'ok' });
-      const response = await axios.get(`${this.baseURL}/artist/${artist.id}/albums`, {
+      const response = await this.http.get(`${this.baseURL}/artist/${artist.id}/albums`, {
         params: { limit: 100 },
         timeout: this.timeout
       });
@@ -220,7 +222,7 @@ class DeezerProvider {
 
     try {
       logConnection({ direction: 'outbound', label: 'Deezer', detail: `${this.baseURL}/artist/${artist.id}`, status: 'ok' });
-      const response = await axios.get(`${this.baseURL}/artist/${artist.id}`, {
+      const response = await this.http.get(`${this.baseURL}/artist/${artist.id}`, {
         timeout: this.timeout
       });
       const data = response.data;
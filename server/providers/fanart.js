@@ -1,6 +1,7 @@
 const axios = require('axios');
 const { logger } = require('../lib/logger');
 const { logConnection } = require('../lib/request');
+const httpFixtures = require('../lib/httpFixtures');
 
 class FanartProvider {
   static capabilities = { artistImages: true, albumImages: false };
@@ -9,6 +10,7 @@ class FanartProvider {
     this.baseURL = 'https://webservice.fanart.tv/v3';
     this.name = 'fanart';
     this.apiKey = config?.apiKey || process.env.FANART_API_KEY;
+    this.http = axios.create(httpFixtures.axiosConfig());
   }
 
   async initialize() {
@@ -31,7 +33,7 @@ class FanartProvider {
 
     try {
       logConnection({ direction: 'outbound', label: 'Fanart', detail: `${this.baseURL}/music/${mbid}`, status: 'ok' });
-      const response = await axios.get(`${this.baseURL}/music/${mbid}`, {
+      const response = await this.http.get(`${this.baseURL}/music/${mbid}`, {
         params: {
           api_key: this.apiKey
         },
@@ -116,7 +118,7 @@ class FanartProvider {
 
     try {
       logConnection({ direction: 'outbound', label: 'Fanart', detail: `${this.baseURL}/music/albums/${mbid}`, status: 'ok' });
-      const response = await axios.get(`${this.baseURL}/music/albums/${mbid}`, {
+      const response = await this.http.get(`${this.baseURL}/music/albums/${mbid}`, {
         params: {
           api_key: this.apiKey
         },
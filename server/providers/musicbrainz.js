@@ -1,49 +1,219 @@
 const BaseProvider = require('./base');
 const { logger } = require('../lib/logger');
+const { isAbortError } = require('../lib/abort');
+const database = require('../sql/database');
+
+const OFFICIAL_URL = 'https://musicbrainz.org/ws/2';
+const HEALTH_CHECK_INTERVAL_MS = 60000;
+const HEALTH_CHECK_PATH = '/artist/89ad4ac3-39f7-470e-963a-56509c546377'; // Various Artists — always present
+const RECENT_REQUESTS = 20;
 
 class MusicBrainzProvider extends BaseProvider {
   constructor(config) {
-    const baseUrl = config.baseUrl || process.env.MUSICBRAINZ_URL || 'https://musicbrainz.org/ws/2';
-    
-    // Detect if using official MusicBrainz server
-    const isOfficialServer = baseUrl === 'https://musicbrainz.org/ws/2';
-    
-    // Determine rate limiting
-    let rateLimit = null;
-    
-    if (isOfficialServer) {
-      // Official MB always uses 2000ms rate limit (cannot be overridden)
-      rateLimit = { requests: 1, period: 2000 };
-      logger.info(`MusicBrainz: Using official server - rate limit: 2000ms`);
-    } else {
-      // Custom servers: check env variable override
-      if (process.env.MUSICBRAINZ_RATE_LIMIT !== undefined) {
-        const rateLimitMs = parseInt(process.env.MUSICBRAINZ_RATE_LIMIT);
-        if (rateLimitMs > 0) {
-          rateLimit = { requests: 1, period: rateLimitMs };
-          logger.info(`MusicBrainz: Using custom rate limit from env: ${rateLimitMs}ms`);
-        } else {
-          logger.info(`MusicBrainz: Rate limiting disabled via env variable`);
-        }
-      } else {
-        // Default: no rate limit for custom servers
-        logger.info(`MusicBrainz: Using custom server - rate limiting disabled`);
-      }
-    }
-    
-    const providerConfig = {
+    const servers = MusicBrainzProvider.resolveServers(config);
+
+    super('MusicBrainz', {
       ...config,
-      baseUrl: baseUrl,
-      rateLimit: rateLimit
-    };
-    
-    super('MusicBrainz', providerConfig);
+      baseUrl: servers[0].url,
+      rateLimit: servers[0].rateLimit
+    });
+    this.serverConfigs = servers;
+    this.servers = [];
+    this.recentRequests = []; // newest first: { server, url, at }
+    this.healthTimer = null;
     this.customBaseUrl = config.baseUrl;
-    this.useLocalServer = !isOfficialServer;
+    this.useLocalServer = servers[0].url !== OFFICIAL_URL;
+  }
+
+  /**
+   * Ordered backend list — first is preferred, the rest are failovers.
+   *   providers.musicbrainz.servers: [{ name, url, rateLimitMs }]
+   * Without a list: baseUrl / MUSICBRAINZ_URL / official, plus the official server as
+   * last resort when fallbackToOfficial is set. The official server is always paced at
+   * 1 req / 2s; custom servers use rateLimitMs (or MUSICBRAINZ_RATE_LIMIT), 0 = unlimited.
+   */
+  static resolveServers(config) {
+    let entries = Array.isArray(config.servers) && config.servers.length > 0
+      ? config.servers.filter(s => s && s.url)
+      : [];
+
+    if (entries.length === 0) {
+      const envLimit = process.env.MUSICBRAINZ_RATE_LIMIT;
+      entries = [{
+        url: config.baseUrl || process.env.MUSICBRAINZ_URL || OFFICIAL_URL,
+        rateLimitMs: envLimit !== undefined ? parseInt(envLimit) : undefined
+      }];
+      if (config.fallbackToOfficial && entries[0].url !== OFFICIAL_URL) {
+        entries.push({ url: OFFICIAL_URL });
+      }
+    }
+
+    return entries.map((entry, index) => {
+      const url = entry.url.replace(/\/$/, '');
+      const isOfficial = url === OFFICIAL_URL;
+      const rateLimitMs = isOfficial ? 2000 : parseInt(entry.rateLimitMs) || 0;
+      const name = entry.name || (isOfficial ? 'official' : (index === 0 ? 'mirror' : `server ${index + 1}`));
+
+      if (isOfficial) {
+        logger.info(`MusicBrainz: ${name} (${url}) - official server, rate limit: 2000ms`);
+      } else {
+        logger.info(`MusicBrainz: ${name} (${url}) - ${rateLimitMs > 0 ? `rate limit: ${rateLimitMs}ms` : 'rate limiting disabled'}`);
+      }
+
+      return {
+        name,
+        url,
+        rateLimit: rateLimitMs > 0 ? { requests: 1, period: rateLimitMs } : null,
+        healthCheckIntervalMs: parseInt(entry.healthCheckIntervalMs) || HEALTH_CHECK_INTERVAL_MS
+      };
+    });
   }
 
   async initialize() {
-    await super.initialize();
+    const multiple = this.serverConfigs.length > 1;
+
+    this.servers = this.serverConfigs.map(serverConfig => {
+      const label = multiple ? `${this.name} (${serverConfig.name})` : this.name;
+      const { client, rateLimiter } = this.createClient(serverConfig.url, serverConfig.rateLimit, label);
+      return {
+        ...serverConfig,
+        client,
+        rateLimiter,
+        healthy: true,
+        lastError: null,
+        lastFailureAt: null,
+        lastCheckAt: null,
+        served: 0,
+        failures: 0,
+        lastServedAt: null
+      };
+    });
+
+    // Every this.client.get goes through the failover chain
+    this.client = { get: (url, options) => this._getWithFailover(url, options) };
+    this.rateLimiter = this.servers[0].rateLimiter;
+
+    if (multiple) {
+      const interval = Math.min(...this.servers.map(s => s.healthCheckIntervalMs));
+      this.healthTimer = setInterval(() => this.checkUnhealthyServers(), interval);
+      this.healthTimer.unref();
+    }
+  }
+
+  hasRateLimiter() {
+    return this.servers.some(s => s.rateLimiter);
+  }
+
+  // ─── Failover ────────────────────────────────────────────
+
+  // Healthy servers in configured order, then unhealthy ones as a last resort
+  _serverOrder() {
+    return [...this.servers.filter(s => s.healthy), ...this.servers.filter(s => !s.healthy)];
+  }
+
+  // Connection failures, timeouts and 5xx/429 move on to the next server; 4xx answers are real
+  _isFailoverError(error) {
+    return !error.status || error.status >= 500 || error.status === 429;
+  }
+
+  // A paced server answering 503/429 is only asking us to slow down: its rate limiter has
+  // already backed off, so the retry goes back to it rather than to another server
+  _isThrottled(server, error) {
+    return !!server.rateLimiter && (error.status === 503 || error.status === 429);
+  }
+
+  async _getWithFailover(url, options) {
+    const order = this._serverOrder();
+    let lastError;
+
+    for (const [index, server] of order.entries()) {
+      try {
+        const response = await server.client.get(url, options);
+        this._recordServed(server, url);
+        return response;
+      } catch (error) {
+        lastError = error;
+        if (isAbortError(error) || !this._isFailoverError(error) || this._isThrottled(server, error)) throw error;
+
+        this._markUnhealthy(server, error);
+        const next = order[index + 1];
+        if (next) {
+          logger.warn(`MusicBrainz: ${server.name} failed (${error.message}) - failing over to ${next.name}`);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  _recordServed(server, url) {
+    server.served++;
+    server.lastServedAt = new Date();
+    if (!server.healthy) {
+      server.healthy = true;
+      logger.info(`MusicBrainz: ${server.name} is answering again`);
+    }
+    this.recentRequests.unshift({ server: server.name, url, at: server.lastServedAt });
+    this.recentRequests.length = Math.min(this.recentRequests.length, RECENT_REQUESTS);
+  }
+
+  _markUnhealthy(server, error) {
+    server.failures++;
+    server.lastError = error.message;
+    server.lastFailureAt = new Date();
+    if (server.healthy && this.servers.length > 1) {
+      server.healthy = false;
+      logger.warn(`MusicBrainz: marking ${server.name} unhealthy: ${error.message}`);
+    }
+  }
+
+  // Probe unhealthy servers so traffic returns to the preferred one once it recovers
+  async checkUnhealthyServers() {
+    const now = Date.now();
+    for (const server of this.servers) {
+      if (server.healthy) continue;
+      if (server.lastCheckAt && now - server.lastCheckAt.getTime() < server.healthCheckIntervalMs) continue;
+
+      server.lastCheckAt = new Date();
+      try {
+        await server.client.get(HEALTH_CHECK_PATH, { params: { fmt: 'json' } });
+        server.healthy = true;
+        server.lastError = null;
+        logger.info(`MusicBrainz: health check passed for ${server.name}, returning traffic to it`);
+      } catch (error) {
+        server.lastError = error.message;
+        logger.debug(`MusicBrainz: health check failed for ${server.name}: ${error.message}`);
+      }
+    }
+  }
+
+  getServerStates() {
+    return this.servers.map(server => ({
+      name: server.name,
+      url: server.url,
+      healthy: server.healthy,
+      served: server.served,
+      failures: server.failures,
+      lastServedAt: server.lastServedAt,
+      lastFailureAt: server.lastFailureAt,
+      lastError: server.lastError,
+      rateLimiter: server.rateLimiter ? server.rateLimiter.getState() : null
+    }));
+  }
+
+  /**
+   * MusicBrainz answers lookups of a merged entity with the surviving entity,
+   * so a response ID that differs from the requested one is a redirect.
+   * Record it so later requests for the old ID resolve without a round trip.
+   */
+  async _checkRedirect(requestedMbid, data, entityType) {
+    if (!data?.id || data.id === requestedMbid) return;
+    logger.info(`MusicBrainz: ${entityType} ${requestedMbid} was merged into ${data.id}`);
+    try {
+      await database.recordRedirect(requestedMbid, data.id, entityType);
+    } catch (err) {
+      logger.warn(`MusicBrainz: failed to record redirect ${requestedMbid} → ${data.id}: ${err.message}`);
+    }
   }
 
   async searchArtist(query, limit = 10) {
@@ -72,15 +242,33 @@ class MusicBrainzProvider extends BaseProvider {
       
       const response = await this.client.get(`/artist/${mbid}`, {
         params: {
-          inc: 'aliases+tags+ratings+genres+url-rels',
+          inc: 'aliases+tags+ratings+genres+url-rels+artist-rels',
           fmt: 'json'
         }
       });
 
+      await this._checkRedirect(mbid, response.data, 'artist');
       return this.normalizeArtist(response.data);
     });
   }
 
+  async getLabel(mbid) {
+    const cacheKey = `mb:label:${mbid}`;
+
+    return this.cachedRequest(cacheKey, async () => {
+      logger.info(`MusicBrainz: Fetching label ${mbid}`);
+
+      const response = await this.client.get(`/label/${mbid}`, {
+        params: {
+          inc: 'aliases+url-rels',
+          fmt: 'json'
+        }
+      });
+
+      return this.normalizeLabel(response.data);
+    });
+  }
+
   async getArtistAlbums(artistMbid) {
     const cacheKey = `mb:artist:${artistMbid}:albums`;
     
@@ -116,21 +304,23 @@ class MusicBrainzProvider extends BaseProvider {
     });
   }
 
-  async getReleaseGroup(mbid) {
+  async getReleaseGroup(mbid, { signal = null } = {}) {
     const cacheKey = `mb:release-group:${mbid}`;
     
-    return this.cachedRequest(cacheKey, async () => {
+    return this.cachedRequest(cacheKey, async requestSignal => {
       logger.info(`MusicBrainz: Fetching release group ${mbid}`);
       
       const response = await this.client.get(`/release-group/${mbid}`, {
         params: {
           inc: 'artists+releases+tags+genres+ratings+url-rels',
           fmt: 'json'
-        }
+        },
+        signal: requestSignal
       });
 
+      await this._checkRedirect(mbid, response.data, 'album');
       return this.normalizeReleaseGroup(response.data);
-    });
+    }, null, signal);
   }
 
   async getRelease(mbid) {
@@ -141,15 +331,32 @@ class MusicBrainzProvider extends BaseProvider {
       
       const response = await this.client.get(`/release/${mbid}`, {
         params: {
-          inc: 'artist-credits+labels+recordings+release-groups+media',
+          inc: 'artist-credits+labels+recordings+release-groups+media+isrcs+recording-level-rels+work-rels+work-level-rels+artist-rels',
           fmt: 'json'
         }
       });
 
+      await this._checkRedirect(mbid, response.data, 'release');
       return this.normalizeRelease(response.data);
     });
   }
 
+  // Bare recording lookup — used to tell an upstream merge from a tracklist correction
+  async getRecording(mbid) {
+    const cacheKey = `mb:recording:${mbid}`;
+
+    return this.cachedRequest(cacheKey, async () => {
+      logger.info(`MusicBrainz: Fetching recording ${mbid}`);
+
+      const response = await this.client.get(`/recording/${mbid}`, {
+        params: { fmt: 'json' }
+      });
+
+      await this._checkRedirect(mbid, response.data, 'recording');
+      return { id: response.data.id, title: response.data.title, length: response.data.length || null };
+    });
+  }
+
   async browseReleases(artistMbid, options = {}) {
     const { offset = 0, limit = 100, inc = 'artist-credits+labels+media' } = options;
     
@@ -169,41 +376,34 @@ class MusicBrainzProvider extends BaseProvider {
     return response.data.releases || [];
   }
 
-  async getReleasesByReleaseGroup(releaseGroupMbid) {
-    logger.info(`MusicBrainz: Fetching all releases for release group ${releaseGroupMbid} (paginated)`);
+  /**
+   * One browse page of a release group's releases, with full tracklists, labels and credits.
+   * MB trims pages when inc=recordings would exceed its track cap, so callers must advance
+   * by releases.length rather than by limit. `signal` cancels the request (a cancelled job).
+   */
+  async browseReleaseGroupReleases(releaseGroupMbid, { offset = 0, limit = 100, signal = null } = {}) {
+    const cacheKey = `mb:release-group-releases:${releaseGroupMbid}:${offset}:${limit}`;
 
-    const allReleases = [];
-    let offset = 0;
-    const limit = 100;
-    let total = null;
+    return this.cachedRequest(cacheKey, async requestSignal => {
+      logger.info(`MusicBrainz: Browsing releases for release group ${releaseGroupMbid}, offset=${offset}, limit=${limit}`);
 
-    do {
       const response = await this.client.get('/release', {
         params: {
           'release-group': releaseGroupMbid,
+          inc: 'recordings+media+labels+artist-credits+isrcs+recording-level-rels+work-rels+work-level-rels+artist-rels',
           limit,
           offset,
           fmt: 'json'
-        }
+        },
+        signal: requestSignal
       });
 
-      const data = response.data;
-      if (total === null) total = data['release-count'] || 0;
-
-      const releases = data.releases || [];
-      allReleases.push(...releases.map(r => ({
-        id: r.id,
-        title: r.title,
-        date: r.date,
-        country: r.country,
-        status: r.status
-      })));
-      offset += limit;
-
-      logger.info(`MusicBrainz: Fetched ${allReleases.length}/${total} releases for release group ${releaseGroupMbid}`);
-    } while (offset < total);
-
-    return allReleases;
+      const releases = (response.data.releases || []).map(r => ({
+        ...this.normalizeRelease(r),
+        releaseGroupId: releaseGroupMbid
+      }));
+      return { releases, total: response.data['release-count'] || 0, offset };
+    }, null, signal);
   }
 
   async searchAlbum(query, artist = null, limit = 10) {
@@ -229,6 +429,55 @@ class MusicBrainzProvider extends BaseProvider {
     });
   }
 
+  async searchRecording(query, artist = null, limit = 10) {
+    let searchQuery = query;
+    if (artist) {
+      searchQuery = `${query} AND artist:"${artist}"`;
+    }
+
+    const cacheKey = `mb:recording:search:${searchQuery}:${limit}`;
+
+    return this.cachedRequest(cacheKey, async () => {
+      logger.info(`MusicBrainz: Searching for recording "${query}"`);
+
+      const response = await this.client.get('/recording', {
+        params: {
+          query: searchQuery,
+          limit: limit,
+          fmt: 'json'
+        }
+      });
+
+      return this.normalizeRecordingSearchResults(response.data);
+    });
+  }
+
+  async searchRelease(query, limit = 10) {
+    const cacheKey = `mb:release:search:${query}:${limit}`;
+
+    return this.cachedRequest(cacheKey, async () => {
+      logger.info(`MusicBrainz: Searching for release "${query}"`);
+
+      const response = await this.client.get('/release', {
+        params: {
+          query: query,
+          limit: limit,
+          fmt: 'json'
+        }
+      });
+
+      return (response.data.releases || []).map(release => ({
+        id: release.id,
+        title: release.title,
+        status: release.status || null,
+        barcode: release.barcode || null,
+        releaseGroupId: release['release-group']?.id || null,
+        score: release.score || 0,
+        provider: 'musicbrainz'
+      }));
+    });
+  }
+
   async getAlbum(mbid) {
     const cacheKey = `mb:album:${mbid}`;
     
@@ -242,6 +491,7 @@ class MusicBrainzProvider extends BaseProvider {
         }
       });
 
+      await this._checkRedirect(mbid, response.data, 'album');
       return this.normalizeAlbum(response.data);
     });
   }
@@ -330,6 +580,7 @@ class MusicBrainzProvider extends BaseProvider {
       genres: (artist.genres || []).map(g => g.name),
       rating: artist.rating ? artist.rating.value : null,
       links: links,
+      relationships: this.extractArtistRelations(artist.relations || []),
       provider: 'musicbrainz'
     };
   }
@@ -350,6 +601,37 @@ class MusicBrainzProvider extends BaseProvider {
     }));
   }
 
+  normalizeRecordingSearchResults(data) {
+    if (!data.recordings) return [];
+
+    return data.recordings.map(rec => {
+      // Containing album: prefer an official release on a plain studio album
+      const releases = rec.releases || [];
+      const isStudio = r => r['release-group'] && r['release-group']['primary-type'] === 'Album'
+        && (r['release-group']['secondary-types'] || []).length === 0;
+      const release = releases.find(r => r.status === 'Official' && isStudio(r))
+        || releases.find(r => r.status === 'Official')
+        || releases[0];
+      const rg = release ? release['release-group'] : null;
+
+      return {
+        id: rec.id,
+        title: rec.title,
+        disambiguation: rec.disambiguation || '',
+        length: rec.length || null,
+        artistCredit: this.formatArtistCredit(rec['artist-credit'] || []),
+        releaseGroup: rg ? {
+          id: rg.id,
+          title: rg.title,
+          primaryType: rg['primary-type'] || null,
+          secondaryTypes: rg['secondary-types'] || []
+        } : null,
+        score: rec.score || 0,
+        provider: 'musicbrainz'
+      };
+    });
+  }
+
   normalizeReleaseGroup(rg) {
     // Normalize dates
     let releaseDate = rg['first-release-date'] || null;
@@ -412,6 +694,32 @@ class MusicBrainzProvider extends BaseProvider {
     };
   }
 
+  normalizeLabel(label) {
+    const lifeSpan = label['life-span'] || {};
+    const toDate = d => d && d.length === 4 ? `${d}-01-01` : d && d.length === 7 ? `${d}-01` : d || null;
+
+    return {
+      id: label.id,
+      name: label.name,
+      sortName: label['sort-name'],
+      disambiguation: label.disambiguation || '',
+      type: label.type || null,
+      country: label.country || null,
+      labelCode: label['label-code'] || null,
+      beginDate: toDate(lifeSpan.begin),
+      endDate: toDate(lifeSpan.end),
+      aliases: (label.aliases || []).map(a => ({
+        name: a.name,
+        sortName: a['sort-name'],
+        locale: a.locale,
+        primary: a.primary || false,
+        type: a.type
+      })),
+      links: this.extractLinks(label.relations || []),
+      provider: 'musicbrainz'
+    };
+  }
+
   normalizeAlbum(album) {
     // Normalize dates FIRST
     let releaseDate = album['first-release-date'] || null;
@@ -504,6 +812,27 @@ class MusicBrainzProvider extends BaseProvider {
     }).join('');
   }
 
+  // Artist-artist relationships (member of band, collaboration, ...) as seen from this artist
+  extractArtistRelations(relations) {
+    const toDate = d => d && d.length === 4 ? `${d}-01-01` : d && d.length === 7 ? `${d}-01` : d || null;
+
+    return relations
+      .filter(rel => rel['target-type'] === 'artist' && rel.artist?.id)
+      .map(rel => ({
+        type: rel.type,
+        direction: rel.direction === 'backward' ? 'backward' : 'forward',
+        artist: {
+          id: rel.artist.id,
+          name: rel.artist.name,
+          type: rel.artist.type || null
+        },
+        attributes: rel.attributes || [],
+        beginDate: toDate(rel.begin),
+        endDate: toDate(rel.end),
+        ended: rel.ended || false
+      }));
+  }
+
   extractLinks(relations) {
     const links = [];
     
@@ -1,12 +1,23 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 const fs = require('fs').promises;
 const path = require('path');
 const { logger } = require('../lib/logger');
 const config = require('../lib/config');
 
+const LISTENER_RETRY_MS = 5000;
+
 class Database {
   constructor() {
     this.pool = null;
+    this.localSearchAvailable = false;
+    this.connectionConfig = null;
+
+    // LISTEN/NOTIFY — one dedicated connection for every channel
+    this.listeners = new Map(); // channel -> Set of handlers
+    this.listenClient = null;
+    this.listenerReady = null;
+    this.listenerTimer = null;
+    this.closing = false;
   }
 
   async initialize() {
@@ -14,13 +25,17 @@ class Database {
     
     logger.info('Initializing database connection...');
     
-    // Create connection pool
-    this.pool = new Pool({
+    this.connectionConfig = {
       host: dbConfig.host,
       port: dbConfig.port,
       database: dbConfig.database,
       user: dbConfig.user,
-      password: dbConfig.password,
+      password: dbConfig.password
+    };
+
+    // Create connection pool
+    this.pool = new Pool({
+      ...this.connectionConfig,
       max: 20,
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 2000,
@@ -124,10 +139,243 @@ class Database {
         ON metadata_jobs(root_artist_mbid)
         WHERE root_artist_mbid IS NOT NULL;
     `);
+
+    // Search cache: Lidarr also searches with type=all, plus our type=recording
+    await this.query(`
+      ALTER TABLE search_cache
+        DROP CONSTRAINT IF EXISTS search_cache_search_type_check;
+    `);
+    await this.query(`
+      ALTER TABLE search_cache
+        ADD CONSTRAINT search_cache_search_type_check
+        CHECK (search_type IN ('artist', 'album', 'all', 'recording'));
+    `);
+
+    // Recording credits: ISRCs, per-recording artist credits, works and work credits
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS recording_isrcs (
+        recording_mbid UUID NOT NULL REFERENCES recordings(mbid) ON DELETE CASCADE,
+        isrc VARCHAR(12) NOT NULL,
+        PRIMARY KEY (recording_mbid, isrc)
+      )
+    `);
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS recording_artists (
+        recording_mbid UUID NOT NULL REFERENCES recordings(mbid) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        artist_mbid UUID NOT NULL,
+        artist_name TEXT NOT NULL,
+        credited_name TEXT,
+        join_phrase TEXT DEFAULT '',
+        PRIMARY KEY (recording_mbid, position)
+      )
+    `);
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS works (
+        mbid UUID PRIMARY KEY,
+        title TEXT NOT NULL,
+        disambiguation TEXT DEFAULT '',
+        type VARCHAR(50),
+        languages TEXT[] DEFAULT '{}',
+        iswcs TEXT[] DEFAULT '{}',
+        last_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS recording_works (
+        recording_mbid UUID NOT NULL REFERENCES recordings(mbid) ON DELETE CASCADE,
+        work_mbid UUID NOT NULL REFERENCES works(mbid) ON DELETE CASCADE,
+        attributes TEXT[] DEFAULT '{}',
+        PRIMARY KEY (recording_mbid, work_mbid)
+      )
+    `);
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS work_artists (
+        work_mbid UUID NOT NULL REFERENCES works(mbid) ON DELETE CASCADE,
+        artist_mbid UUID NOT NULL,
+        artist_name TEXT NOT NULL,
+        role VARCHAR(50) NOT NULL,
+        attributes TEXT[] DEFAULT '{}',
+        PRIMARY KEY (work_mbid, artist_mbid, role)
+      )
+    `);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_recording_isrcs_isrc ON recording_isrcs(isrc)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_recording_artists_artist ON recording_artists(artist_mbid)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_recording_works_work ON recording_works(work_mbid)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_work_artists_artist ON work_artists(artist_mbid)`);
+
+    // Labels as entities — existing releases are backfilled from their label-info JSON
+    // the first time the table is created
+    const labelsExisted = (await this.query(`SELECT to_regclass('labels') AS t`)).rows[0].t !== null;
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS labels (
+        mbid UUID PRIMARY KEY,
+        name TEXT NOT NULL,
+        sort_name TEXT,
+        disambiguation TEXT DEFAULT '',
+        type VARCHAR(50),
+        country VARCHAR(2),
+        label_code INTEGER,
+        begin_date DATE,
+        end_date DATE,
+        aliases JSONB DEFAULT '[]'::jsonb,
+        first_fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        last_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+        ttl_expires_at TIMESTAMP WITH TIME ZONE
+      )
+    `);
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS release_labels (
+        release_mbid UUID NOT NULL REFERENCES releases(mbid) ON DELETE CASCADE,
+        label_mbid UUID NOT NULL REFERENCES labels(mbid) ON DELETE CASCADE,
+        catalog_number TEXT NOT NULL DEFAULT '',
+        PRIMARY KEY (release_mbid, label_mbid, catalog_number)
+      )
+    `);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_labels_name ON labels(name)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_release_labels_label ON release_labels(label_mbid)`);
+    await this.query(`
+      ALTER TABLE links
+        DROP CONSTRAINT IF EXISTS links_entity_type_check;
+    `);
+    await this.query(`
+      ALTER TABLE links
+        ADD CONSTRAINT links_entity_type_check
+        CHECK (entity_type IN ('artist', 'album', 'release_group', 'release', 'recording', 'label'));
+    `);
+    if (!labelsExisted) {
+      await this.backfillReleaseLabels();
+    }
+
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS artist_relations (
+        id BIGSERIAL PRIMARY KEY,
+        artist_mbid UUID NOT NULL REFERENCES artists(mbid) ON DELETE CASCADE,
+        related_mbid UUID NOT NULL,
+        related_name TEXT NOT NULL,
+        related_type VARCHAR(50),
+        relation_type VARCHAR(100) NOT NULL,
+        direction VARCHAR(10) NOT NULL CHECK (direction IN ('forward', 'backward')),
+        attributes TEXT[] DEFAULT '{}',
+        begin_date DATE,
+        end_date DATE,
+        ended BOOLEAN DEFAULT FALSE
+      )
+    `);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_artist_relations_artist ON artist_relations(artist_mbid)`);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_artist_relations_related ON artist_relations(related_mbid)`);
+
+    // Job retry backoff
+    await this.query(`
+      ALTER TABLE metadata_jobs
+        ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE;
+    `);
+
+    // Job error history
+    await this.query(`
+      CREATE TABLE IF NOT EXISTS metadata_job_errors (
+        id BIGSERIAL PRIMARY KEY,
+        job_id BIGINT NOT NULL REFERENCES metadata_jobs(id) ON DELETE CASCADE,
+        attempt INTEGER NOT NULL,
+        error_message TEXT,
+        failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+    await this.query(`CREATE INDEX IF NOT EXISTS idx_metadata_job_errors_job ON metadata_job_errors(job_id)`);
+
+    await this.ensureSearchIndexes();
     
     logger.info('Column migrations complete');
   }
 
+  async backfillReleaseLabels() {
+    const labelInfo = `
+      FROM releases r,
+        jsonb_array_elements(CASE WHEN jsonb_typeof(r.labels) = 'array' THEN r.labels ELSE '[]'::jsonb END) li
+      WHERE li->'label'->>'id' IS NOT NULL
+    `;
+    const labels = await this.query(`
+      INSERT INTO labels (mbid, name, sort_name, disambiguation, label_code)
+      SELECT DISTINCT ON ((li->'label'->>'id')::uuid)
+        (li->'label'->>'id')::uuid,
+        li->'label'->>'name',
+        li->'label'->>'sort-name',
+        COALESCE(li->'label'->>'disambiguation', ''),
+        (li->'label'->>'label-code')::int
+      ${labelInfo}
+      ON CONFLICT (mbid) DO NOTHING
+    `);
+    await this.query(`
+      INSERT INTO release_labels (release_mbid, label_mbid, catalog_number)
+      SELECT DISTINCT r.mbid, (li->'label'->>'id')::uuid, COALESCE(li->>'catalog-number', '')
+      ${labelInfo}
+      ON CONFLICT DO NOTHING
+    `);
+    logger.info(`Backfilled ${labels.rowCount} labels from stored releases`);
+  }
+
+  // Local search: trigram + full-text indexes over artist names/aliases and album titles/aliases.
+  // pg_trgm needs CREATE privilege on the database — without it local search stays disabled.
+  // Index expressions are evaluated with a bare search_path (CREATE INDEX on PG 17, pg_restore),
+  // so the nested search_alias_text call is schema-qualified.
+  async ensureSearchIndexes() {
+    try {
+      await this.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+      const schemaResult = await this.query('SELECT quote_ident(current_schema()) AS schema');
+      const aliasText = `${schemaResult.rows[0].schema}.search_alias_text`;
+
+      await this.query(`
+        CREATE OR REPLACE FUNCTION search_alias_text(aliases JSONB) RETURNS TEXT
+        LANGUAGE SQL IMMUTABLE PARALLEL SAFE AS $$
+          SELECT COALESCE(string_agg(
+            CASE WHEN jsonb_typeof(a) = 'string' THEN a #>> '{}' ELSE a ->> 'name' END, ' '), '')
+          FROM jsonb_array_elements(
+            CASE WHEN jsonb_typeof(aliases) = 'array' THEN aliases ELSE '[]'::jsonb END) a
+        $$;
+      `);
+
+      await this.query(`
+        CREATE OR REPLACE FUNCTION artist_search_text(name TEXT, sort_name TEXT, aliases JSONB) RETURNS TEXT
+        LANGUAGE SQL IMMUTABLE PARALLEL SAFE AS $$
+          SELECT lower(COALESCE(name, '') || ' ' || COALESCE(sort_name, '') || ' ' || ${aliasText}(aliases))
+        $$;
+      `);
+
+      await this.query(`
+        CREATE OR REPLACE FUNCTION release_group_search_text(title TEXT, aliases JSONB) RETURNS TEXT
+        LANGUAGE SQL IMMUTABLE PARALLEL SAFE AS $$
+          SELECT lower(COALESCE(title, '') || ' ' || ${aliasText}(aliases))
+        $$;
+      `);
+
+      await this.query(`
+        CREATE INDEX IF NOT EXISTS idx_artists_search_trgm
+          ON artists USING gin (artist_search_text(name, sort_name, aliases) gin_trgm_ops);
+      `);
+      await this.query(`
+        CREATE INDEX IF NOT EXISTS idx_artists_search_fts
+          ON artists USING gin (to_tsvector('simple', artist_search_text(name, sort_name, aliases)));
+      `);
+      await this.query(`
+        CREATE INDEX IF NOT EXISTS idx_release_groups_search_trgm
+          ON release_groups USING gin (release_group_search_text(title, aliases) gin_trgm_ops);
+      `);
+      await this.query(`
+        CREATE INDEX IF NOT EXISTS idx_release_groups_search_fts
+          ON release_groups USING gin (to_tsvector('simple', release_group_search_text(title, aliases)));
+      `);
+      await this.query(`
+        CREATE INDEX IF NOT EXISTS idx_recordings_search_trgm
+          ON recordings USING gin (lower(title) gin_trgm_ops);
+      `);
+
+      this.localSearchAvailable = true;
+    } catch (error) {
+      this.localSearchAvailable = false;
+      logger.warn(`Local search indexes unavailable (pg_trgm): ${error.message}`);
+    }
+  }
+
   async runMigrations() {
     logger.info('Running database migrations...');
     
@@ -160,7 +408,87 @@ class Database {
     return await this.pool.connect();
   }
 
+  // ─── LISTEN / NOTIFY ─────────────────────────────────────────────────────────
+
+  /**
+   * Call handler(payload) for every NOTIFY on channel. A pooled connection can't hold a
+   * LISTEN, so all channels share one dedicated client. When that connection drops it is
+   * re-established and every handler is called with null, to catch up on missed notifications.
+   */
+  async listen(channel, handler) {
+    const isNew = !this.listeners.has(channel);
+    if (isNew) this.listeners.set(channel, new Set());
+    this.listeners.get(channel).add(handler);
+
+    if (!this.listenerReady) {
+      this.listenerReady = this._connectListener();
+      return this.listenerReady;
+    }
+    await this.listenerReady;
+    if (isNew && this.listenClient) {
+      await this.listenClient.query(`LISTEN ${this.listenClient.escapeIdentifier(channel)}`);
+    }
+  }
+
+  // Fire and forget — a lost notification only delays work until the listener's fallback poll
+  notify(channel, payload = '') {
+    return this.pool.query('SELECT pg_notify($1, $2)', [channel, String(payload)])
+      .catch(error => logger.warn(`NOTIFY ${channel} failed: ${error.message}`));
+  }
+
+  async _connectListener() {
+    const client = new Client(this.connectionConfig);
+    client.on('notification', msg => this._dispatchNotification(msg.channel, msg.payload));
+    client.on('error', error => {
+      logger.warn(`Database listener error: ${error.message}`);
+      this._reconnectListener(client);
+    });
+    client.on('end', () => this._reconnectListener(client));
+
+    try {
+      await client.connect();
+      for (const channel of this.listeners.keys()) {
+        await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+      }
+      this.listenClient = client;
+      logger.info(`Database listener connected (${[...this.listeners.keys()].join(', ')})`);
+    } catch (error) {
+      logger.warn(`Database listener failed to connect: ${error.message}`);
+      this._reconnectListener(client);
+    }
+  }
+
+  _reconnectListener(client) {
+    if (client.retired || this.closing) return;
+    client.retired = true;
+    if (this.listenClient === client) this.listenClient = null;
+    client.end().catch(() => {});
+
+    logger.warn(`Database listener disconnected, reconnecting in ${LISTENER_RETRY_MS / 1000}s`);
+    this.listenerTimer = setTimeout(async () => {
+      await this._connectListener();
+      if (this.listenClient) {
+        for (const channel of this.listeners.keys()) this._dispatchNotification(channel, null);
+      }
+    }, LISTENER_RETRY_MS);
+    this.listenerTimer.unref();
+  }
+
+  _dispatchNotification(channel, payload) {
+    for (const handler of this.listeners.get(channel) || []) {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch(error => logger.error(`Notification handler for ${channel} failed:`, error));
+    }
+  }
+
   async close() {
+    this.closing = true;
+    clearTimeout(this.listenerTimer);
+    if (this.listenClient) {
+      await this.listenClient.end().catch(() => {});
+      this.listenClient = null;
+    }
     if (this.pool) {
       await this.pool.end();
       logger.info('Database connection pool closed');
@@ -291,6 +619,14 @@ class Database {
     `, [id, artistsRefreshed]);
   }
 
+  async failStaleBulkRefreshes() {
+    await this.query(`
+      UPDATE bulk_refresh_log
+      SET status = 'failed'
+      WHERE status = 'running'
+    `);
+  }
+
   async failBulkRefresh(id) {
     await this.query(`
       UPDATE bulk_refresh_log
@@ -299,6 +635,346 @@ class Database {
     `, [id]);
   }
 
+  // Local search methods — score is 0-100 like MusicBrainz search scores
+  async searchLocalArtists(query, limit = 10) {
+    const result = await this.query(`
+      SELECT mbid,
+        CASE WHEN lower(name) = lower($1) THEN 100
+             ELSE round(word_similarity(lower($1), artist_search_text(name, sort_name, aliases)) * 100)
+        END AS score
+      FROM artists
+      WHERE lower($1) <% artist_search_text(name, sort_name, aliases)
+         OR to_tsvector('simple', artist_search_text(name, sort_name, aliases)) @@ plainto_tsquery('simple', $1)
+      ORDER BY score DESC, access_count DESC
+      LIMIT $2
+    `, [query, limit]);
+    return result.rows.map(row => ({ id: row.mbid, score: parseInt(row.score) }));
+  }
+
+  async searchLocalAlbums(query, artistFilter = null, limit = 10) {
+    const result = await this.query(`
+      SELECT mbid,
+        CASE WHEN lower(title) = lower($1) THEN 100
+             ELSE round(word_similarity(lower($1), release_group_search_text(title, aliases)) * 100)
+        END AS score
+      FROM release_groups
+      WHERE (lower($1) <% release_group_search_text(title, aliases)
+         OR to_tsvector('simple', release_group_search_text(title, aliases)) @@ plainto_tsquery('simple', $1))
+        AND ($2::text IS NULL OR EXISTS (
+          SELECT 1 FROM jsonb_array_elements(artist_credit) ac
+          WHERE lower(ac->>'name') = lower($2) OR lower(ac->'artist'->>'name') = lower($2)
+        ))
+      ORDER BY score DESC, access_count DESC
+      LIMIT $3
+    `, [query, artistFilter, limit]);
+    return result.rows.map(row => ({ id: row.mbid, score: parseInt(row.score) }));
+  }
+
+  // One row per matching recording, with the release group of a stored track using it
+  async searchLocalRecordings(query, artistFilter = null, limit = 10) {
+    const result = await this.query(`
+      SELECT * FROM (
+        SELECT DISTINCT ON (rec.mbid)
+          rec.mbid, rec.title, rec.length_ms, t.artist_credit, r.release_group_mbid,
+          CASE WHEN lower(rec.title) = lower($1) THEN 100
+               ELSE round(word_similarity(lower($1), lower(rec.title)) * 100)
+          END AS score
+        FROM recordings rec
+        JOIN tracks t ON t.recording_mbid = rec.mbid
+        JOIN releases r ON r.mbid = t.release_mbid
+        JOIN release_groups rg ON rg.mbid = r.release_group_mbid
+        WHERE lower($1) <% lower(rec.title)
+          AND ($2::text IS NULL OR EXISTS (
+            SELECT 1 FROM jsonb_array_elements(t.artist_credit) ac
+            WHERE lower(ac->>'name') = lower($2) OR lower(ac->'artist'->>'name') = lower($2)
+          ))
+        ORDER BY rec.mbid, (r.status = 'Official') DESC, (rg.primary_type = 'Album') DESC, rg.first_release_date NULLS LAST
+      ) matches
+      ORDER BY score DESC
+      LIMIT $3
+    `, [query, artistFilter, limit]);
+    return result.rows.map(row => ({
+      id: row.mbid,
+      score: parseInt(row.score),
+      title: row.title,
+      length: row.length_ms,
+      artistCredit: row.artist_credit || [],
+      releaseGroupMbid: row.release_group_mbid
+    }));
+  }
+
+  // Release lookup by physical-media identifiers — UPC/EAN compared without leading zeros,
+  // catalog numbers without case, spaces or punctuation
+  async findReleasesByBarcode(barcode) {
+    const result = await this.query(`
+      SELECT mbid, release_group_mbid FROM releases
+      WHERE barcode IS NOT NULL AND barcode <> ''
+        AND ltrim(barcode, '0') = ltrim($1, '0')
+      ORDER BY (status = 'Official') DESC, release_date NULLS LAST
+    `, [barcode]);
+    return result.rows;
+  }
+
+  async findReleasesByCatno(catno, label = null) {
+    const result = await this.query(`
+      SELECT mbid, release_group_mbid FROM releases
+      WHERE EXISTS (
+        SELECT 1 FROM jsonb_array_elements(labels) li
+        WHERE regexp_replace(lower(li->>'catalog-number'), '[^a-z0-9]', '', 'g')
+              = regexp_replace(lower($1), '[^a-z0-9]', '', 'g')
+          AND ($2::text IS NULL OR lower(li->'label'->>'name') = lower($2))
+      )
+      ORDER BY (status = 'Official') DESC, release_date NULLS LAST
+    `, [catno, label]);
+    return result.rows;
+  }
+
+  // Artist relationships
+  // Dates come back as 'YYYY-MM-DD' text: node-pg turns a DATE into local midnight, which
+  // shifts a year-only date into the previous year east of UTC
+  async getArtistRelations(mbid) {
+    const result = await this.query(`
+      SELECT related_mbid, related_name, related_type, relation_type, direction, attributes,
+        to_char(begin_date, 'YYYY-MM-DD') AS begin_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, ended
+      FROM artist_relations
+      WHERE artist_mbid = $1
+      ORDER BY relation_type, begin_date NULLS LAST, related_name
+    `, [mbid]);
+    return result.rows;
+  }
+
+  async getArtistMembers(groupMbid) {
+    return this._getMemberships('group_mbid', groupMbid);
+  }
+
+  async getArtistGroups(memberMbid) {
+    return this._getMemberships('member_mbid', memberMbid);
+  }
+
+  // Band membership is stored from whichever side was fetched — a group's "backward" rels
+  // and a person's "forward" ones — so read both and drop the duplicates. Dates are text,
+  // as in getArtistRelations
+  async _getMemberships(column, mbid) {
+    const result = await this.query(`
+      SELECT member_mbid, member_name, group_mbid, group_name, attributes,
+        to_char(begin_date, 'YYYY-MM-DD') AS begin_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, ended
+      FROM (
+        SELECT DISTINCT ON (member_mbid, group_mbid, begin_date) *
+        FROM (
+          SELECT ar.related_mbid AS member_mbid, ar.related_name AS member_name,
+            ar.artist_mbid AS group_mbid, a.name AS group_name,
+            ar.attributes, ar.begin_date, ar.end_date, ar.ended
+          FROM artist_relations ar
+          JOIN artists a ON a.mbid = ar.artist_mbid
+          WHERE ar.relation_type = 'member of band' AND ar.direction = 'backward'
+          UNION ALL
+          SELECT ar.artist_mbid, a.name, ar.related_mbid, ar.related_name,
+            ar.attributes, ar.begin_date, ar.end_date, ar.ended
+          FROM artist_relations ar
+          JOIN artists a ON a.mbid = ar.artist_mbid
+          WHERE ar.relation_type = 'member of band' AND ar.direction = 'forward'
+        ) m
+        WHERE ${column} = $1
+        ORDER BY member_mbid, group_mbid, begin_date
+      ) d
+      ORDER BY d.begin_date NULLS LAST, member_name, group_name
+    `, [mbid]);
+    return result.rows;
+  }
+
+  // Labels
+  async getLabel(mbid) {
+    const result = await this.query('SELECT * FROM labels WHERE mbid = $1', [mbid]);
+    return result.rows[0];
+  }
+
+  async getLabelReleases(labelMbid) {
+    const result = await this.query(`
+      SELECT
+        r.mbid,
+        r.title,
+        r.status,
+        r.release_date,
+        r.country,
+        r.barcode,
+        r.artist_credit,
+        string_agg(DISTINCT NULLIF(rl.catalog_number, ''), ', ') AS catalog_number,
+        rg.mbid AS album_mbid,
+        rg.title AS album_title,
+        rg.primary_type
+      FROM release_labels rl
+      JOIN releases r ON r.mbid = rl.release_mbid
+      JOIN release_groups rg ON rg.mbid = r.release_group_mbid
+      WHERE rl.label_mbid = $1
+      GROUP BY r.mbid, rg.mbid
+      ORDER BY r.release_date ASC NULLS LAST, r.title
+    `, [labelMbid]);
+    return result.rows;
+  }
+
+  async getAllLabelsWithCounts() {
+    const result = await this.query(`
+      SELECT
+        l.mbid,
+        l.name,
+        l.type,
+        l.country,
+        l.last_updated_at,
+        COUNT(DISTINCT rl.release_mbid) AS release_count,
+        COUNT(DISTINCT r.release_group_mbid) AS album_count
+      FROM labels l
+      LEFT JOIN release_labels rl ON rl.label_mbid = l.mbid
+      LEFT JOIN releases r ON r.mbid = rl.release_mbid
+      GROUP BY l.mbid
+      ORDER BY l.name
+    `);
+    return result.rows;
+  }
+
+  // Recording credits — ISRCs, per-recording artist credits and works with their
+  // composer/lyricist credits, keyed by lowercase recording MBID (as Postgres returns uuids)
+  async getRecordingCredits(recordingMbids) {
+    recordingMbids = recordingMbids.map(mbid => mbid.toLowerCase());
+    const credits = new Map(recordingMbids.map(mbid => [mbid, { isrcs: [], artists: [], works: [] }]));
+    if (recordingMbids.length === 0) return credits;
+
+    const isrcs = await this.query(`
+      SELECT recording_mbid, isrc FROM recording_isrcs
+      WHERE recording_mbid = ANY($1::uuid[])
+      ORDER BY isrc
+    `, [recordingMbids]);
+    for (const row of isrcs.rows) credits.get(row.recording_mbid).isrcs.push(row.isrc);
+
+    const artists = await this.query(`
+      SELECT recording_mbid, artist_mbid, artist_name, credited_name, join_phrase
+      FROM recording_artists
+      WHERE recording_mbid = ANY($1::uuid[])
+      ORDER BY recording_mbid, position
+    `, [recordingMbids]);
+    for (const row of artists.rows) {
+      credits.get(row.recording_mbid).artists.push({
+        mbid: row.artist_mbid,
+        name: row.artist_name,
+        credited_name: row.credited_name,
+        join_phrase: row.join_phrase
+      });
+    }
+
+    const works = await this.query(`
+      SELECT rw.recording_mbid, rw.attributes, w.mbid, w.title, w.disambiguation, w.type, w.languages, w.iswcs,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'mbid', wa.artist_mbid, 'name', wa.artist_name, 'role', wa.role, 'attributes', wa.attributes
+          ) ORDER BY wa.role, wa.artist_name)
+          FROM work_artists wa WHERE wa.work_mbid = w.mbid
+        ), '[]') AS credits
+      FROM recording_works rw
+      JOIN works w ON w.mbid = rw.work_mbid
+      WHERE rw.recording_mbid = ANY($1::uuid[])
+      ORDER BY w.title
+    `, [recordingMbids]);
+    for (const { recording_mbid, ...work } of works.rows) {
+      credits.get(recording_mbid).works.push(work);
+    }
+
+    return credits;
+  }
+
+  async findRecordingsByIsrc(isrc) {
+    const result = await this.query(`
+      SELECT rec.mbid, rec.title, rec.disambiguation, rec.length_ms, rec.is_video
+      FROM recording_isrcs ri
+      JOIN recordings rec ON rec.mbid = ri.recording_mbid
+      WHERE ri.isrc = upper(replace($1, '-', ''))
+      ORDER BY rec.title
+    `, [isrc]);
+    return result.rows;
+  }
+
+  // Search cache methods
+  async getSearchCache(cacheKey) {
+    const result = await this.query(`
+      SELECT results FROM search_cache
+      WHERE cache_key = $1 AND ttl_expires_at > NOW()
+    `, [cacheKey]);
+    return result.rows[0] ? result.rows[0].results : null;
+  }
+
+  async setSearchCache(cacheKey, { searchType, query, artistFilter, results }, ttlSeconds) {
+    await this.query(`
+      INSERT INTO search_cache (cache_key, search_type, query, artist_filter, results, searched_at, ttl_expires_at)
+      VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + make_interval(secs => $6))
+      ON CONFLICT (cache_key) DO UPDATE SET
+        results = EXCLUDED.results,
+        searched_at = NOW(),
+        ttl_expires_at = EXCLUDED.ttl_expires_at
+    `, [cacheKey, searchType, query, artistFilter || null, JSON.stringify(results), ttlSeconds]);
+  }
+
+  async cleanupSearchCache() {
+    const result = await this.query('DELETE FROM search_cache WHERE ttl_expires_at < NOW()');
+    return result.rowCount;
+  }
+
+  // MBID redirect methods (MusicBrainz merges)
+  async recordRedirect(oldMbid, newMbid, entityType) {
+    if (!oldMbid || !newMbid || oldMbid === newMbid) return;
+
+    await this.query(`
+      INSERT INTO mbid_redirects (old_mbid, new_mbid, entity_type)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (old_mbid) DO UPDATE SET
+        new_mbid = EXCLUDED.new_mbid,
+        entity_type = EXCLUDED.entity_type,
+        created_at = NOW()
+    `, [oldMbid, newMbid, entityType]);
+
+    // Collapse chains: anything that pointed at the old ID now points at the new one
+    await this.query(`
+      UPDATE mbid_redirects SET new_mbid = $2
+      WHERE new_mbid = $1 AND entity_type = $3
+    `, [oldMbid, newMbid, entityType]);
+
+    logger.info(`Recorded ${entityType} redirect ${oldMbid} → ${newMbid}`);
+  }
+
+  async resolveRedirect(mbid, entityType) {
+    // Follow redirects to the canonical MBID — chains are collapsed on write,
+    // the hop limit only guards against a cycle in hand-edited data
+    let current = mbid;
+    for (let hop = 0; hop < 5; hop++) {
+      const result = await this.query(
+        'SELECT new_mbid FROM mbid_redirects WHERE old_mbid = $1 AND entity_type = $2',
+        [current, entityType]
+      );
+      if (result.rows.length === 0) break;
+      current = result.rows[0].new_mbid;
+    }
+    return current;
+  }
+
+  async getOldMbids(newMbid, entityType) {
+    const result = await this.query(
+      'SELECT old_mbid FROM mbid_redirects WHERE new_mbid = $1 AND entity_type = $2 ORDER BY old_mbid',
+      [newMbid, entityType]
+    );
+    return result.rows.map(row => row.old_mbid);
+  }
+
+  async getOldMbidsBatch(newMbids, entityType) {
+    if (!newMbids.length) return new Map();
+    const result = await this.query(
+      'SELECT old_mbid, new_mbid FROM mbid_redirects WHERE new_mbid = ANY($1) AND entity_type = $2 ORDER BY old_mbid',
+      [newMbids, entityType]
+    );
+    const map = new Map();
+    result.rows.forEach(row => {
+      if (!map.has(row.new_mbid)) map.set(row.new_mbid, []);
+      map.get(row.new_mbid).push(row.old_mbid);
+    });
+    return map;
+  }
+
   async getAllArtistMbids() {
     const result = await this.query('SELECT mbid FROM artists ORDER BY last_accessed_at DESC');
     return result.rows.map(row => row.mbid);
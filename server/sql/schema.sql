@@ -94,6 +94,25 @@ CREATE TABLE IF NOT EXISTS releases (
     last_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Labels table
+CREATE TABLE IF NOT EXISTS labels (
+    mbid UUID PRIMARY KEY,
+    name TEXT NOT NULL,
+    sort_name TEXT,
+    disambiguation TEXT DEFAULT '',
+    type VARCHAR(50),
+    country VARCHAR(2),
+    label_code INTEGER,
+    begin_date DATE,
+    end_date DATE,
+    aliases JSONB DEFAULT '[]'::jsonb,
+    
+    -- Metadata
+    first_fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    ttl_expires_at TIMESTAMP WITH TIME ZONE
+);
+
 -- Recordings table
 CREATE TABLE IF NOT EXISTS recordings (
     mbid UUID PRIMARY KEY,
@@ -123,6 +142,53 @@ CREATE TABLE IF NOT EXISTS tracks (
     first_fetched_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Recording ISRCs
+CREATE TABLE IF NOT EXISTS recording_isrcs (
+    recording_mbid UUID NOT NULL REFERENCES recordings(mbid) ON DELETE CASCADE,
+    isrc VARCHAR(12) NOT NULL,
+    PRIMARY KEY (recording_mbid, isrc)
+);
+
+-- Recording artist credits (featured/credited artists are usually not stored in artists, so no FK)
+CREATE TABLE IF NOT EXISTS recording_artists (
+    recording_mbid UUID NOT NULL REFERENCES recordings(mbid) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    artist_mbid UUID NOT NULL,
+    artist_name TEXT NOT NULL,
+    credited_name TEXT,
+    join_phrase TEXT DEFAULT '',
+    PRIMARY KEY (recording_mbid, position)
+);
+
+-- Works (compositions) performed on recordings
+CREATE TABLE IF NOT EXISTS works (
+    mbid UUID PRIMARY KEY,
+    title TEXT NOT NULL,
+    disambiguation TEXT DEFAULT '',
+    type VARCHAR(50),
+    languages TEXT[] DEFAULT '{}',
+    iswcs TEXT[] DEFAULT '{}',
+    last_updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Recording to Work (performance relationships)
+CREATE TABLE IF NOT EXISTS recording_works (
+    recording_mbid UUID NOT NULL REFERENCES recordings(mbid) ON DELETE CASCADE,
+    work_mbid UUID NOT NULL REFERENCES works(mbid) ON DELETE CASCADE,
+    attributes TEXT[] DEFAULT '{}',
+    PRIMARY KEY (recording_mbid, work_mbid)
+);
+
+-- Work credits (composer, lyricist, writer, arranger...)
+CREATE TABLE IF NOT EXISTS work_artists (
+    work_mbid UUID NOT NULL REFERENCES works(mbid) ON DELETE CASCADE,
+    artist_mbid UUID NOT NULL,
+    artist_name TEXT NOT NULL,
+    role VARCHAR(50) NOT NULL,
+    attributes TEXT[] DEFAULT '{}',
+    PRIMARY KEY (work_mbid, artist_mbid, role)
+);
+
 -- ============================================================================
 -- RELATIONSHIP TABLES
 -- ============================================================================
@@ -136,6 +202,30 @@ CREATE TABLE IF NOT EXISTS artist_release_groups (
     PRIMARY KEY (artist_mbid, release_group_mbid)
 );
 
+-- Artist to Artist relationships (band membership, collaborations...), as seen from artist_mbid.
+-- related_mbid has no FK — most related artists are never fetched themselves
+CREATE TABLE IF NOT EXISTS artist_relations (
+    id BIGSERIAL PRIMARY KEY,
+    artist_mbid UUID NOT NULL REFERENCES artists(mbid) ON DELETE CASCADE,
+    related_mbid UUID NOT NULL,
+    related_name TEXT NOT NULL,
+    related_type VARCHAR(50),
+    relation_type VARCHAR(100) NOT NULL,
+    direction VARCHAR(10) NOT NULL CHECK (direction IN ('forward', 'backward')),
+    attributes TEXT[] DEFAULT '{}',
+    begin_date DATE,
+    end_date DATE,
+    ended BOOLEAN DEFAULT FALSE
+);
+
+-- Release to Label many-to-many (one row per catalog number)
+CREATE TABLE IF NOT EXISTS release_labels (
+    release_mbid UUID NOT NULL REFERENCES releases(mbid) ON DELETE CASCADE,
+    label_mbid UUID NOT NULL REFERENCES labels(mbid) ON DELETE CASCADE,
+    catalog_number TEXT NOT NULL DEFAULT '',
+    PRIMARY KEY (release_mbid, label_mbid, catalog_number)
+);
+
 -- ============================================================================
 -- ASSET TABLES
 -- ============================================================================
@@ -177,7 +267,7 @@ CREATE TABLE IF NOT EXISTS images (
 -- Links table
 CREATE TABLE IF NOT EXISTS links (
     id BIGSERIAL PRIMARY KEY,
-    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('artist', 'album', 'release_group', 'release', 'recording')),
+    entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('artist', 'album', 'release_group', 'release', 'recording', 'label')),
     entity_mbid UUID NOT NULL,
     link_type VARCHAR(50) NOT NULL,
     url TEXT NOT NULL,
@@ -240,7 +330,7 @@ CREATE TABLE IF NOT EXISTS sync_logs (
 -- Search cache table
 CREATE TABLE IF NOT EXISTS search_cache (
     cache_key VARCHAR(255) PRIMARY KEY,
-    search_type VARCHAR(20) NOT NULL CHECK (search_type IN ('artist', 'album')),
+    search_type VARCHAR(20) NOT NULL CHECK (search_type IN ('artist', 'album', 'all', 'recording')),
     query TEXT NOT NULL,
     artist_filter TEXT,
     results JSONB NOT NULL,
@@ -259,6 +349,7 @@ CREATE TABLE IF NOT EXISTS metadata_jobs (
     attempts INTEGER DEFAULT 0,
     max_attempts INTEGER DEFAULT 10,
     error_message TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE, -- retry backoff: a pending job isn't picked up before this
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     started_at TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE,
@@ -287,6 +378,16 @@ CREATE INDEX IF NOT EXISTS idx_metadata_jobs_pending ON metadata_jobs(status) WH
 CREATE INDEX IF NOT EXISTS idx_metadata_jobs_parent ON metadata_jobs(parent_job_id);
 CREATE INDEX IF NOT EXISTS idx_metadata_jobs_root_artist ON metadata_jobs(root_artist_mbid) WHERE root_artist_mbid IS NOT NULL;
 
+-- One row per failed attempt, so a job's detail view can show every error, not just the last
+CREATE TABLE IF NOT EXISTS metadata_job_errors (
+    id BIGSERIAL PRIMARY KEY,
+    job_id BIGINT NOT NULL REFERENCES metadata_jobs(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    error_message TEXT,
+    failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_metadata_job_errors_job ON metadata_job_errors(job_id);
+
 -- Request log table (persists Lidarr/provider request feed across restarts)
 CREATE TABLE IF NOT EXISTS request_log (
     id BIGSERIAL PRIMARY KEY,
@@ -324,6 +425,20 @@ CREATE INDEX IF NOT EXISTS idx_tracks_release ON tracks(release_mbid);
 CREATE INDEX IF NOT EXISTS idx_tracks_recording ON tracks(recording_mbid);
 CREATE INDEX IF NOT EXISTS idx_tracks_position ON tracks(release_mbid, medium_number, position);
 
+-- Recording credits indexes
+CREATE INDEX IF NOT EXISTS idx_recording_isrcs_isrc ON recording_isrcs(isrc);
+CREATE INDEX IF NOT EXISTS idx_recording_artists_artist ON recording_artists(artist_mbid);
+CREATE INDEX IF NOT EXISTS idx_recording_works_work ON recording_works(work_mbid);
+CREATE INDEX IF NOT EXISTS idx_work_artists_artist ON work_artists(artist_mbid);
+
+-- Artist relations indexes
+CREATE INDEX IF NOT EXISTS idx_artist_relations_artist ON artist_relations(artist_mbid);
+CREATE INDEX IF NOT EXISTS idx_artist_relations_related ON artist_relations(related_mbid);
+
+-- Labels indexes
+CREATE INDEX IF NOT EXISTS idx_labels_name ON labels(name);
+CREATE INDEX IF NOT EXISTS idx_release_labels_label ON release_labels(label_mbid);
+
 -- Artist release groups indexes
 CREATE INDEX IF NOT EXISTS idx_arg_artist ON artist_release_groups(artist_mbid);
 CREATE INDEX IF NOT EXISTS idx_arg_release_group ON artist_release_groups(release_group_mbid);
@@ -382,6 +497,11 @@ CREATE TRIGGER update_releases_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_labels_updated_at
+    BEFORE UPDATE ON labels
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_recordings_updated_at
     BEFORE UPDATE ON recordings
     FOR EACH ROW
@@ -395,7 +515,14 @@ COMMENT ON TABLE artists IS 'Stores artist metadata from MusicBrainz and other p
 COMMENT ON TABLE release_groups IS 'Stores album/EP/single metadata (release groups in MB terminology)';
 COMMENT ON TABLE releases IS 'Stores specific releases/pressings of albums';
 COMMENT ON TABLE tracks IS 'Stores track listings for releases';
+COMMENT ON TABLE artist_relations IS 'Artist-to-artist relationships (members, collaborations) with begin/end dates';
+COMMENT ON TABLE labels IS 'Stores record label entities; ttl_expires_at is NULL until the full label has been fetched';
+COMMENT ON TABLE release_labels IS 'Links releases to labels with their catalog numbers';
 COMMENT ON TABLE recordings IS 'Stores MusicBrainz recording entities';
+COMMENT ON TABLE recording_isrcs IS 'ISRCs attached to recordings, for matching files by ISRC';
+COMMENT ON TABLE recording_artists IS 'Per-recording artist credits (may differ from the release credit)';
+COMMENT ON TABLE works IS 'Stores MusicBrainz work (composition) entities';
+COMMENT ON TABLE work_artists IS 'Composer/lyricist/writer credits on works';
 COMMENT ON TABLE images IS 'Stores image URLs and cached files for artists and albums';
 COMMENT ON TABLE links IS 'Stores external links (Wikipedia, official sites, etc.)';
 COMMENT ON TABLE mbid_redirects IS 'Handles MusicBrainz entity merges and redirects';
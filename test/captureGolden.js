@@ -0,0 +1,88 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+
+/**
+ * Capture golden responses from old LMD
+ *
+ *   POSTGRES_HOST=... node test/captureGolden.js --lmd <old LMD base URL> --artist <mbid> --album <mbid>
+ *
+ * Saves old LMD's /artist/<mbid> and /album/<mbid> answers under test/fixtures/golden/captured
+ * and, in the same run, records the MusicBrainz responses nuLMD needs to build those entities
+ * into test/fixtures/http — so lidarrGolden.test.js can replay them and compare shapes.
+ * --artist and --album may be repeated. Like the database suites, this truncates every table
+ * of the database it is pointed at.
+ */
+
+// Before any server module loads: record provider traffic, throwaway config
+process.env.NULMD_HTTP_FIXTURES = 'record';
+process.env.NULMD_HTTP_FIXTURES_DIR = process.env.NULMD_HTTP_FIXTURES_DIR || path.join(__dirname, 'fixtures/http');
+process.env.CONFIG_PATH = path.join(os.tmpdir(), `nulmd-capture-${process.pid}`, 'config.yml');
+
+const config = require('../server/lib/config');
+const database = require('../server/sql/database');
+const metaHandler = require('../server/lib/metaHandler');
+const { initializeProviders } = require('../server/lib/providerRegistry');
+const { CAPTURED_DIR } = require('./helpers/golden');
+
+const USAGE = 'Usage: POSTGRES_HOST=... node test/captureGolden.js --lmd <old LMD base URL> (--artist <mbid> | --album <mbid>)...';
+
+function parseArgs(argv) {
+  const args = { artists: [], albums: [] };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--lmd': args.lmd = argv[++i]; break;
+      case '--artist': args.artists.push(argv[++i]); break;
+      case '--album': args.albums.push(argv[++i]); break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!args.lmd) throw new Error('--lmd is required');
+  if (args.artists.length + args.albums.length === 0) throw new Error('Give at least one --artist or --album');
+  if (!process.env.POSTGRES_HOST) throw new Error('POSTGRES_HOST must point at a throwaway database');
+  return args;
+}
+
+async function capture(lmd, kind, mbid, ensure) {
+  const { data } = await axios.get(`${lmd.replace(/\/+$/, '')}/${kind}/${mbid}`, { timeout: 60000 });
+  const file = path.join(CAPTURED_DIR, `${kind}-${mbid}.json`);
+  await fs.writeFile(file, `${JSON.stringify(data, null, 2)}\n`);
+  await ensure(mbid);
+  console.log(`Captured ${kind} ${mbid} -> ${path.relative(process.cwd(), file)}`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  try {
+    await config.load();
+    await database.initialize();
+    await initializeProviders();
+
+    const tables = await database.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public'`);
+    await database.query(`TRUNCATE ${tables.rows.map(row => `"${row.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`);
+    await fs.mkdir(CAPTURED_DIR, { recursive: true });
+
+    for (const mbid of args.artists) {
+      await capture(args.lmd, 'artist', mbid, id => metaHandler.ensureArtist(id));
+    }
+    for (const mbid of args.albums) {
+      await capture(args.lmd, 'album', mbid, id => metaHandler.ensureAlbum(id));
+    }
+  } catch (error) {
+    console.error(`Capture failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await database.close();
+    await fs.rm(path.dirname(process.env.CONFIG_PATH), { recursive: true, force: true });
+  }
+}
+
+main();
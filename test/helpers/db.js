@@ -0,0 +1,33 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../server/lib/config');
+const database = require('../../server/sql/database');
+const { initializeProviders } = require('../../server/lib/providerRegistry');
+
+/**
+ * Database-backed suites need a disposable Postgres — set POSTGRES_HOST (and
+ * POSTGRES_PORT / POSTGRES_DB / POSTGRES_USER / POSTGRES_PASSWORD) to run them.
+ * Every table is truncated between tests, so never point this at real data.
+ */
+const describeDb = process.env.POSTGRES_HOST ? describe : describe.skip;
+
+async function setup() {
+  await config.load();
+  await database.initialize();
+  await initializeProviders();
+}
+
+async function truncateAll() {
+  const result = await database.query(`SELECT tablename FROM pg_tables WHERE schemaname = 'public'`);
+  const tables = result.rows.map(row => `"${row.tablename}"`);
+  if (tables.length > 0) {
+    await database.query(`TRUNCATE ${tables.join(', ')} RESTART IDENTITY CASCADE`);
+  }
+}
+
+async function teardown() {
+  await database.close();
+  await fs.rm(path.dirname(config.configPath), { recursive: true, force: true });
+}
+
+module.exports = { describeDb, setup, truncateAll, teardown };
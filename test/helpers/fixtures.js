@@ -0,0 +1,26 @@
+// MBIDs of the synthetic MusicBrainz entities in test/fixtures/http/musicbrainz.org
+const id = n => `0f1e7a00-0000-4000-8000-${String(n).padStart(12, '0')}`;
+
+module.exports = {
+  ARTIST: id(1), // Fixture Band (Group)
+  MEMBER: id(2), // Fixture Singer — member of Fixture Band
+  GUEST: id(3), // Guest Player — featured on "Closing"
+  RG_ALBUM: id(101), // First Light (Album)
+  RG_LIVE: id(102), // Live at Nowhere (Album + Live)
+  RG_SINGLE: id(103), // Spark (Single)
+  RG_DEMOS: id(104), // Demos (Other + Demo, undated) — seeded directly, not in the MB fixtures
+  REL_OFFICIAL: id(201),
+  REL_BOOTLEG: id(202),
+  REC_OPENING: id(301),
+  REC_CLOSING: id(302),
+  TRACK_OPENING: id(401),
+  LABEL: id(501),
+  WORK: id(601),
+  MISSING_ARTIST: id(999), // recorded 404
+
+  // Merged-away IDs, seeded as redirects for the golden responses' oldids
+  OLD_ARTIST: id(11),
+  OLD_RELEASE: id(211),
+  OLD_TRACK: id(411),
+  OLD_RECORDING: id(311)
+};
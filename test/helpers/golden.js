@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../server/lib/config');
+const database = require('../../server/sql/database');
+const metaHandler = require('../../server/lib/metaHandler');
+const fx = require('./fixtures');
+
+const GOLDEN_DIR = path.join(__dirname, '../fixtures/golden');
+const CAPTURED_DIR = path.join(GOLDEN_DIR, 'captured');
+const SERVER_URL = 'http://nulmd.test:5001';
+
+/**
+ * Seed the fixture discography the golden snapshots were written against: the artist and
+ * "First Light" fetched through the replayed MusicBrainz fixtures, plus what other jobs
+ * would normally fill in — overviews, images, merged MBIDs, an undated demo release group
+ * and a completed fetch_artist_albums job.
+ */
+async function seedGoldenDatabase() {
+  config.set('serverUrl', SERVER_URL);
+
+  await metaHandler.ensureArtist(fx.ARTIST);
+  await metaHandler.ensureAlbum(fx.RG_ALBUM);
+  await metaHandler.storeReleaseGroup(fx.RG_DEMOS, {
+    title: 'Demos',
+    primaryType: 'Other',
+    secondaryTypes: ['Demo'],
+    artistCredit: [{ artist: { id: fx.ARTIST, name: 'Fixture Band', disambiguation: 'test fixture' }, name: 'Fixture Band', joinPhrase: '' }]
+  }, fx.ARTIST);
+
+  await database.query(`UPDATE artists SET overview = 'Fixture Band is a made-up band.' WHERE mbid = $1`, [fx.ARTIST]);
+  await database.query(`UPDATE release_groups SET overview = 'The debut album.' WHERE mbid = $1`, [fx.RG_ALBUM]);
+
+  await database.query(`
+    INSERT INTO images (entity_type, entity_mbid, url, cover_type, provider, cached, local_path) VALUES
+      ('artist', $1, 'https://images.example/fixture-band/poster.jpg', 'Poster', 'fanart', TRUE, '/app/data/images/artist/${fx.ARTIST}/poster.jpg'),
+      ('artist', $1, 'https://images.example/fixture-band/fanart.jpg', 'Fanart', 'fanart', FALSE, NULL),
+      ('release_group', $2, 'https://images.example/first-light/cover.jpg', 'Cover', 'coverartarchive', FALSE, NULL)
+  `, [fx.ARTIST, fx.RG_ALBUM]);
+
+  await database.recordRedirect(fx.OLD_ARTIST, fx.ARTIST, 'artist');
+  await database.recordRedirect(fx.OLD_RELEASE, fx.REL_OFFICIAL, 'release');
+  await database.recordRedirect(fx.OLD_TRACK, fx.TRACK_OPENING, 'track');
+  await database.recordRedirect(fx.OLD_RECORDING, fx.REC_OPENING, 'recording');
+
+  await database.query(`
+    INSERT INTO metadata_jobs (job_type, entity_type, entity_mbid, status)
+    VALUES ('fetch_artist_albums', 'artist', $1, 'completed')
+  `, [fx.ARTIST]);
+}
+
+function loadGolden(name) {
+  return JSON.parse(fs.readFileSync(path.join(GOLDEN_DIR, name), 'utf8'));
+}
+
+/**
+ * Responses captured from old LMD by test/captureGolden.js, as { kind, mbid, file }.
+ * Files are named <artist|album>-<mbid>.json; the MusicBrainz data behind them was
+ * recorded into test/fixtures/http in the same run.
+ */
+function listCaptured() {
+  if (!fs.existsSync(CAPTURED_DIR)) return [];
+  return fs.readdirSync(CAPTURED_DIR)
+    .map(file => file.match(/^(artist|album)-([0-9a-f-]{36})\.json$/))
+    .filter(Boolean)
+    .map(([file, kind, mbid]) => ({ kind, mbid, file: path.join('captured', file) }));
+}
+
+/**
+ * Differences between a formatted response and a golden one, as "path: problem" strings.
+ * Checks what Lidarr and Tubifarry depend on: field names (and their case), field order,
+ * JSON types and values. The response is compared as it goes over the wire.
+ *
+ * With `values: false` only names, order and types are checked (array items pairwise) —
+ * for captured responses, whose overviews, images and counts date from another time.
+ */
+function structureDiff(actual, expected, { values = true } = {}) {
+  const diffs = [];
+  const typeOf = value => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+
+  const walk = (a, e, at) => {
+    if (typeOf(a) !== typeOf(e)) {
+      diffs.push(`${at}: expected ${typeOf(e)}, got ${typeOf(a)}`);
+      return;
+    }
+
+    if (Array.isArray(e)) {
+      if (values && a.length !== e.length) diffs.push(`${at}: expected ${e.length} items, got ${a.length}`);
+      for (let i = 0; i < Math.min(a.length, e.length); i++) walk(a[i], e[i], `${at}[${i}]`);
+      return;
+    }
+
+    if (typeOf(e) === 'object') {
+      const actualKeys = Object.keys(a);
+      const expectedKeys = Object.keys(e);
+      const missing = expectedKeys.filter(key => !(key in a));
+      const extra = actualKeys.filter(key => !(key in e));
+
+      if (missing.length > 0) diffs.push(`${at}: missing ${missing.join(', ')}`);
+      if (extra.length > 0) diffs.push(`${at}: unexpected ${extra.join(', ')}`);
+      const shared = actualKeys.filter(key => key in e);
+      if (missing.length === 0 && extra.length === 0 && shared.join() !== expectedKeys.join()) {
+        diffs.push(`${at}: field order ${shared.join(', ')} — expected ${expectedKeys.join(', ')}`);
+      }
+
+      for (const key of expectedKeys) {
+        if (key in a) walk(a[key], e[key], `${at}.${key}`);
+      }
+      return;
+    }
+
+    if (values && a !== e) diffs.push(`${at}: expected ${JSON.stringify(e)}, got ${JSON.stringify(a)}`);
+  };
+
+  walk(JSON.parse(JSON.stringify(actual)), expected, '$');
+  return diffs;
+}
+
+module.exports = { GOLDEN_DIR, CAPTURED_DIR, seedGoldenDatabase, loadGolden, listCaptured, structureDiff };
@@ -0,0 +1,309 @@
+const database = require('../../server/sql/database');
+const backgroundJobQueue = require('../../server/lib/backgroundJobQueue');
+const { sleep } = require('../../server/lib/abort');
+const fx = require('../helpers/fixtures');
+const { describeDb, setup, truncateAll, teardown } = require('../helpers/db');
+
+const MB_JOB_TYPES = ['fetch_artist_albums'];
+
+async function getJob(id) {
+  const result = await database.query('SELECT * FROM metadata_jobs WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+// Claim the job and fail it, as a worker would
+async function claimAndFail(jobId, message = 'MusicBrainz is down') {
+  const job = await backgroundJobQueue._getNextJob(MB_JOB_TYPES);
+  expect(job.id).toBe(jobId);
+  await backgroundJobQueue.failJob(jobId, message);
+  return getJob(jobId);
+}
+
+async function makeDue(jobId) {
+  await database.query(`UPDATE metadata_jobs SET next_attempt_at = NOW() - INTERVAL '1 second' WHERE id = $1`, [jobId]);
+}
+
+describeDb('backgroundJobQueue retry backoff (Postgres)', () => {
+  beforeAll(setup);
+  afterAll(teardown);
+  beforeEach(truncateAll);
+
+  test('a failed job goes back to pending with a backed-off next attempt', async () => {
+    const jobId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST);
+
+    const before = Date.now();
+    const job = await claimAndFail(jobId);
+
+    expect(job).toMatchObject({ status: 'pending', attempts: 1, error_message: 'MusicBrainz is down' });
+    const delay = job.next_attempt_at.getTime() - before;
+    expect(delay).toBeGreaterThan(30000 * 0.8 - 1000);
+    expect(delay).toBeLessThan(30000 * 1.2 + 1000);
+  });
+
+  test('a job is not picked up again before it is due', async () => {
+    const jobId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST);
+    await claimAndFail(jobId);
+
+    expect(await backgroundJobQueue._getNextJob(MB_JOB_TYPES)).toBeNull();
+
+    await makeDue(jobId);
+    const job = await backgroundJobQueue._getNextJob(MB_JOB_TYPES);
+    expect(job).toMatchObject({ id: jobId, attempts: 2 });
+  });
+
+  test('the delay doubles per attempt and is capped at an hour', async () => {
+    const jobId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST);
+    await database.query('UPDATE metadata_jobs SET max_attempts = 20 WHERE id = $1', [jobId]);
+
+    await claimAndFail(jobId);
+    await makeDue(jobId);
+    const before = Date.now();
+    const second = await claimAndFail(jobId);
+    const delay = second.next_attempt_at.getTime() - before;
+    expect(delay).toBeGreaterThan(60000 * 0.8 - 1000);
+    expect(delay).toBeLessThan(60000 * 1.2 + 1000);
+
+    await database.query('UPDATE metadata_jobs SET attempts = 12 WHERE id = $1', [jobId]);
+    await makeDue(jobId);
+    const capped = await claimAndFail(jobId);
+    expect(capped.next_attempt_at.getTime() - Date.now()).toBeLessThan(3600000 * 1.2 + 1000);
+  });
+
+  test('the last attempt fails the job permanently', async () => {
+    const jobId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST);
+    await database.query('UPDATE metadata_jobs SET max_attempts = 1 WHERE id = $1', [jobId]);
+
+    const job = await claimAndFail(jobId);
+    expect(job).toMatchObject({ status: 'failed', attempts: 1, next_attempt_at: null });
+  });
+
+  test('force-queueing a backed-off job makes it due straight away', async () => {
+    const jobId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST);
+    await claimAndFail(jobId);
+
+    await backgroundJobQueue.forceQueueJob('fetch_artist_albums', 'artist', fx.ARTIST);
+    expect(await getJob(jobId)).toMatchObject({ status: 'pending', attempts: 0, next_attempt_at: null });
+    expect((await backgroundJobQueue._getNextJob(MB_JOB_TYPES)).id).toBe(jobId);
+  });
+
+  test('queueJob keeps the backoff of a job that is still retrying', async () => {
+    const jobId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST);
+    await claimAndFail(jobId);
+
+    await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST);
+    expect(await backgroundJobQueue._getNextJob(MB_JOB_TYPES)).toBeNull();
+  });
+});
+
+describeDb('backgroundJobQueue job management (Postgres)', () => {
+  beforeAll(setup);
+  afterAll(teardown);
+  beforeEach(truncateAll);
+
+  async function queueTree() {
+    const rootId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST, 0, null, null, fx.ARTIST);
+    const albumId = await backgroundJobQueue.queueJob('fetch_album_full', 'release_group', fx.RG_ALBUM, 1, null, rootId, fx.ARTIST);
+    const wikiId = await backgroundJobQueue.queueJob('fetch_album_wiki', 'release_group', fx.RG_ALBUM, 1, null, rootId, fx.ARTIST);
+    return { rootId, albumId, wikiId };
+  }
+
+  test('lists jobs filtered by type, status and root artist, with a total for paging', async () => {
+    const { albumId, wikiId } = await queueTree();
+    await backgroundJobQueue.queueJob('fetch_artist', 'artist', fx.MEMBER);
+
+    const all = await backgroundJobQueue.listJobs({ limit: 2 });
+    expect(all.total).toBe(4);
+    expect(all.jobs).toHaveLength(2);
+
+    const albums = await backgroundJobQueue.listJobs({ type: ['fetch_album_full', 'fetch_album_wiki'] });
+    expect(albums.jobs.map(j => j.id).sort()).toEqual([albumId, wikiId].sort());
+
+    const tree = await backgroundJobQueue.listJobs({ rootArtistMbid: fx.ARTIST, status: 'pending' });
+    expect(tree.total).toBe(3);
+
+    expect((await backgroundJobQueue.listJobs({ status: ['failed'] })).total).toBe(0);
+  });
+
+  test('job detail carries the error history and child status counts', async () => {
+    const { rootId } = await queueTree();
+    const job = await backgroundJobQueue._getNextJob(MB_JOB_TYPES);
+    expect(job.id).toBe(rootId);
+    await backgroundJobQueue.failJob(rootId, 'first failure');
+
+    const detail = await backgroundJobQueue.getJob(rootId);
+    expect(detail.errors).toEqual([expect.objectContaining({ attempt: 1, error_message: 'first failure' })]);
+    expect(detail.children).toEqual({ pending: 2, processing: 0, completed: 0, failed: 0 });
+    expect(await backgroundJobQueue.getJob(999999)).toBeNull();
+  });
+
+  test('cancel fails a pending job and a late result does not overwrite it', async () => {
+    const { rootId } = await queueTree();
+    await backgroundJobQueue._getNextJob(MB_JOB_TYPES);
+
+    expect(await backgroundJobQueue.cancelJob(rootId)).toBe(true);
+    await backgroundJobQueue.completeJob(rootId);
+
+    expect(await getJob(rootId)).toMatchObject({ status: 'failed', error_message: 'Cancelled by user' });
+    expect(await backgroundJobQueue.cancelJob(rootId)).toBe(false);
+  });
+
+  test('cancelling a running job aborts it and frees its worker slot at once', async () => {
+    const { rootId } = await queueTree();
+    let work;
+    backgroundJobQueue._processJobFn = (job, signal) => (work = sleep(60000, signal));
+
+    const job = await backgroundJobQueue._getNextJob(MB_JOB_TYPES);
+    backgroundJobQueue._startJob('mb', job);
+    expect(backgroundJobQueue.pools.mb.workers).toBe(1);
+
+    expect(await backgroundJobQueue.cancelJob(rootId)).toBe(true);
+    expect(backgroundJobQueue.pools.mb.workers).toBe(0);
+    await expect(work).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(await getJob(rootId)).toMatchObject({ status: 'failed', error_message: 'Cancelled by user' });
+    expect(backgroundJobQueue.abortJob(rootId)).toBe(false);
+    backgroundJobQueue._processJobFn = null;
+  });
+
+  test('a cancelled job that cannot stop keeps its worker slot until it finishes', async () => {
+    const jobId = await backgroundJobQueue.queueJob('refresh_artist', 'artist', fx.ARTIST);
+    let finish;
+    backgroundJobQueue._processJobFn = () => new Promise(resolve => { finish = resolve; });
+
+    const job = await backgroundJobQueue._getNextJob(['refresh_artist']);
+    backgroundJobQueue._startJob('mb', job);
+
+    expect(await backgroundJobQueue.cancelJob(jobId)).toBe(true);
+    expect(backgroundJobQueue.pools.mb.workers).toBe(1);
+
+    finish();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(backgroundJobQueue.pools.mb.workers).toBe(0);
+    expect(await getJob(jobId)).toMatchObject({ status: 'failed', error_message: 'Cancelled by user' });
+    backgroundJobQueue._processJobFn = null;
+  });
+
+  test('a job whose result cannot be stored frees its slot without an unhandled rejection', async () => {
+    await backgroundJobQueue.queueJob('refresh_artist', 'artist', fx.ARTIST);
+    backgroundJobQueue._processJobFn = async () => {};
+    const spies = ['completeJob', 'failJob'].map(method =>
+      jest.spyOn(backgroundJobQueue, method).mockRejectedValue(new Error('connection lost')));
+
+    const job = await backgroundJobQueue._getNextJob(['refresh_artist']);
+    backgroundJobQueue._startJob('mb', job);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(backgroundJobQueue.pools.mb.workers).toBe(0);
+    spies.forEach(spy => spy.mockRestore());
+    backgroundJobQueue._processJobFn = null;
+  });
+
+  test('retry re-queues a failed job and retryTree every failed job of the artist', async () => {
+    const { rootId, albumId, wikiId } = await queueTree();
+    expect(await backgroundJobQueue.retryJob(albumId)).toBe(false);
+
+    for (const id of [rootId, albumId, wikiId]) await backgroundJobQueue.cancelJob(id);
+
+    expect(await backgroundJobQueue.retryJob(albumId)).toBe(true);
+    expect(await getJob(albumId)).toMatchObject({ status: 'pending', attempts: 0 });
+
+    expect(await backgroundJobQueue.retryTree(fx.ARTIST)).toBe(2);
+    expect((await backgroundJobQueue.listJobs({ rootArtistMbid: fx.ARTIST, status: 'pending' })).total).toBe(3);
+  });
+
+  test('priority changes are stored', async () => {
+    const { albumId } = await queueTree();
+    expect(await backgroundJobQueue.setJobPriority(albumId, 7)).toBe(true);
+    expect((await getJob(albumId)).priority).toBe(7);
+    expect(await backgroundJobQueue.setJobPriority(999999, 7)).toBe(false);
+  });
+});
+
+describeDb('backgroundJobQueue job trees (Postgres)', () => {
+  beforeAll(setup);
+  afterAll(teardown);
+  beforeEach(truncateAll);
+
+  test('returns the nested tree with progress and an ETA from completed durations', async () => {
+    const rootId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST, 0, null, null, fx.ARTIST);
+    const albumId = await backgroundJobQueue.queueJob('fetch_album_full', 'release_group', fx.RG_ALBUM, 1, null, rootId, fx.ARTIST);
+    await backgroundJobQueue.queueJob('fetch_album_full', 'release_group', fx.RG_LIVE, 1, null, rootId, fx.ARTIST);
+    await database.query(`
+      UPDATE metadata_jobs SET status = 'completed', started_at = NOW() - INTERVAL '10 seconds', completed_at = NOW()
+      WHERE id = ANY($1)
+    `, [[rootId, albumId]]);
+
+    const tree = await backgroundJobQueue.getJobTree(fx.ARTIST);
+    expect(tree).toMatchObject({
+      artist_mbid: fx.ARTIST,
+      status: 'running',
+      total: 3,
+      counts: { pending: 1, processing: 0, completed: 2, failed: 0 },
+      percent: 66,
+      eta_seconds: 10,
+      image_downloads_pending: 0
+    });
+    expect(tree.jobs).toHaveLength(1);
+    expect(tree.jobs[0]).toMatchObject({ id: rootId, status: 'completed', duration_ms: expect.any(Number) });
+    expect(tree.jobs[0].children.map(node => node.status).sort()).toEqual(['completed', 'pending']);
+
+    expect(await backgroundJobQueue.getJobTree(fx.MEMBER)).toBeNull();
+  });
+
+  test('lists only trees that still have work left', async () => {
+    const rootId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST, 0, null, null, fx.ARTIST);
+    await backgroundJobQueue.queueJob('fetch_album_wiki', 'release_group', fx.RG_ALBUM, 1, null, rootId, fx.ARTIST);
+    const doneId = await backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.MEMBER, 0, null, null, fx.MEMBER);
+    await database.query(`UPDATE metadata_jobs SET status = 'completed' WHERE id = $1`, [doneId]);
+
+    const trees = await backgroundJobQueue.getActiveJobTrees();
+    expect(trees).toEqual([expect.objectContaining({ artist_mbid: fx.ARTIST, status: 'running', total: 2, percent: 0, eta_seconds: null })]);
+  });
+});
+
+describe('backgroundJobQueue dispatch', () => {
+  const WIKI_JOB = { id: 1, job_type: 'fetch_album_wiki' };
+
+  beforeEach(() => { backgroundJobQueue.processing = true; });
+  afterEach(() => {
+    backgroundJobQueue.processing = false;
+    jest.restoreAllMocks();
+  });
+
+  test('a wake-up during a drain makes the running drain look for work once more', async () => {
+    const results = [null, WIKI_JOB];
+    const getNextJob = jest.spyOn(backgroundJobQueue, '_getNextJob').mockImplementation(async () => {
+      // A NOTIFY arriving while the first query is in flight
+      if (getNextJob.mock.calls.length === 1) backgroundJobQueue._drain('wiki');
+      return results.shift() || null;
+    });
+    const startJob = jest.spyOn(backgroundJobQueue, '_startJob').mockImplementation(() => {});
+
+    await backgroundJobQueue._drain('wiki');
+
+    expect(startJob.mock.calls).toEqual([['wiki', WIKI_JOB]]);
+    expect(getNextJob).toHaveBeenCalledTimes(3);
+    expect(backgroundJobQueue.pools.wiki).toMatchObject({ draining: false, wokenWhileDraining: false });
+  });
+
+  test('a drain stops when the pool is full', async () => {
+    const getNextJob = jest.spyOn(backgroundJobQueue, '_getNextJob').mockResolvedValue(WIKI_JOB);
+    jest.spyOn(backgroundJobQueue, '_startJob').mockImplementation(name => { backgroundJobQueue.pools[name].workers++; });
+
+    await backgroundJobQueue._drain('wiki');
+
+    expect(getNextJob).toHaveBeenCalledTimes(backgroundJobQueue.pools.wiki.maxWorkers);
+    backgroundJobQueue.pools.wiki.workers = 0;
+  });
+
+  test('a wake-up for a job type drains only its pool, and one without a type drains all', () => {
+    const drain = jest.spyOn(backgroundJobQueue, '_drain').mockResolvedValue();
+
+    backgroundJobQueue._wake('fetch_album_wiki');
+    expect(drain.mock.calls).toEqual([['wiki']]);
+
+    drain.mockClear();
+    backgroundJobQueue._wake(null);
+    expect(drain.mock.calls.map(([name]) => name)).toEqual(['mb', 'wiki', 'image']);
+  });
+});
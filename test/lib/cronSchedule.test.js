@@ -0,0 +1,37 @@
+const { getNextRun } = require('../../server/lib/cronSchedule');
+
+describe('cronSchedule.getNextRun', () => {
+  const from = new Date(2026, 0, 15, 10, 30, 20); // Thursday
+
+  test('five-field expressions fire at second 0 of the next matching minute', () => {
+    expect(getNextRun('0 4 * * *', from)).toEqual(new Date(2026, 0, 16, 4, 0, 0));
+    expect(getNextRun('*/15 * * * *', from)).toEqual(new Date(2026, 0, 15, 10, 45, 0));
+  });
+
+  test('the result is strictly after from', () => {
+    expect(getNextRun('30 10 * * *', new Date(2026, 0, 15, 10, 30, 0))).toEqual(new Date(2026, 0, 16, 10, 30, 0));
+  });
+
+  test('six-field expressions match seconds', () => {
+    expect(getNextRun('*/10 * * * * *', from)).toEqual(new Date(2026, 0, 15, 10, 30, 30));
+  });
+
+  test('lists, ranges and names', () => {
+    expect(getNextRun('0 9 * * mon-wed', from)).toEqual(new Date(2026, 0, 19, 9, 0, 0));
+    expect(getNextRun('0 0 1 Mar,6 *', from)).toEqual(new Date(2026, 2, 1, 0, 0, 0));
+    expect(getNextRun('0 12 * * 7', from)).toEqual(new Date(2026, 0, 18, 12, 0, 0));
+  });
+
+  test('day-of-month and day-of-week must both match, as in node-cron', () => {
+    // The next Friday the 13th after mid-January 2026
+    expect(getNextRun('0 0 13 * 5', from)).toEqual(new Date(2026, 1, 13, 0, 0, 0));
+  });
+
+  test('an expression that never fires returns null', () => {
+    expect(getNextRun('0 0 30 2 *', from)).toBeNull();
+  });
+
+  test('a malformed field throws', () => {
+    expect(() => getNextRun('0 25 * * *', from)).toThrow('Invalid cron field');
+  });
+});
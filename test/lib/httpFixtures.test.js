@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const httpFixtures = require('../../server/lib/httpFixtures');
+
+describe('httpFixtures', () => {
+  const savedEnv = { ...process.env };
+  let server;
+  let baseURL;
+  let dir;
+  let hits;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      hits++;
+      const status = req.url.startsWith('/gone') ? 404 : 200;
+      res.writeHead(status, { 'content-type': 'application/json', 'x-ratelimit-remaining': '9' });
+      res.end(JSON.stringify({ url: req.url }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    hits = 0;
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nulmd-fixtures-'));
+    process.env.NULMD_HTTP_FIXTURES_DIR = dir;
+  });
+
+  afterEach(async () => {
+    process.env = { ...savedEnv };
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const client = mode => {
+    process.env.NULMD_HTTP_FIXTURES = mode;
+    return axios.create({ baseURL, ...httpFixtures.axiosConfig() });
+  };
+
+  test('is off unless a mode is set', () => {
+    delete process.env.NULMD_HTTP_FIXTURES;
+    expect(httpFixtures.getMode()).toBeNull();
+    expect(httpFixtures.axiosConfig()).toEqual({});
+  });
+
+  test('names fixtures by method, path and sorted query, without credentials', () => {
+    const file = httpFixtures.fixturePath(
+      { method: 'GET', host: 'api.example', path: '/v3/music/abc', query: 'lang=en&q=a b' }, '/fx'
+    );
+    expect(file).toBe(path.join('/fx', 'api.example', 'GET_v3_music_abc_lang=en&q=a_b.json'));
+  });
+
+  test('records responses and replays them without the network', async () => {
+    const recorded = await client('record').get('/ws/2/artist/x', { params: { fmt: 'json', inc: 'aliases', api_key: 'secret' } });
+    expect(recorded.data).toEqual({ url: '/ws/2/artist/x?fmt=json&inc=aliases&api_key=secret' });
+    expect(hits).toBe(1);
+
+    const host = new URL(baseURL).host;
+    const file = path.join(dir, host, 'GET_ws_2_artist_x_fmt=json&inc=aliases.json');
+    const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    expect(fixture.request.query).toBe('fmt=json&inc=aliases');
+    expect(fixture.response.headers['x-ratelimit-remaining']).toBe('9');
+
+    // Param order and credentials don't change which fixture is served
+    const replayed = await client('replay').get('/ws/2/artist/x', { params: { inc: 'aliases', fmt: 'json', api_key: 'other' } });
+    expect(replayed.status).toBe(200);
+    expect(replayed.data).toEqual(recorded.data);
+    expect(hits).toBe(1);
+  });
+
+  test('records and replays error responses', async () => {
+    await expect(client('record').get('/gone')).rejects.toMatchObject({ response: { status: 404 } });
+    await expect(client('replay').get('/gone')).rejects.toMatchObject({
+      response: { status: 404, data: { url: '/gone' } }
+    });
+    expect(hits).toBe(1);
+  });
+
+  test('fails fast when replaying a request that was never recorded', async () => {
+    await expect(client('replay').get('/never')).rejects.toMatchObject({ code: 'ENOFIXTURE' });
+    expect(hits).toBe(0);
+  });
+});
@@ -0,0 +1,48 @@
+const imageDownloadQueue = require('../../server/lib/imageDownloadQueue');
+
+describe('imageDownloadQueue dispatch', () => {
+  let runDownload;
+
+  beforeEach(() => {
+    imageDownloadQueue.processing = true;
+    imageDownloadQueue.lastDownloadTime = {};
+    runDownload = jest.spyOn(imageDownloadQueue, '_runDownload').mockReturnValue(new Promise(() => {}));
+  });
+
+  afterEach(() => {
+    imageDownloadQueue.stopProcessor();
+    imageDownloadQueue.activeWorkers = 0;
+    imageDownloadQueue.inFlight.clear();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('a wake-up during a drain makes the running drain look for work once more', async () => {
+    const results = [null, { id: 1, provider: 'fanart' }];
+    const getNextDownload = jest.spyOn(imageDownloadQueue, 'getNextDownload').mockImplementation(async () => {
+      // A NOTIFY arriving while the first query is in flight
+      if (getNextDownload.mock.calls.length === 1) imageDownloadQueue._drain();
+      return results.shift() || null;
+    });
+
+    await imageDownloadQueue._drain();
+
+    expect(runDownload.mock.calls).toEqual([[1]]);
+    expect(getNextDownload).toHaveBeenCalledTimes(3);
+    expect(imageDownloadQueue).toMatchObject({ draining: false, wokenWhileDraining: false, activeWorkers: 1 });
+  });
+
+  test('a rate-limited provider is retried once when its window reopens', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(imageDownloadQueue, 'getNextDownload').mockResolvedValue({ id: 1, provider: 'fanart' });
+    imageDownloadQueue.recordDownload('fanart');
+
+    await imageDownloadQueue._drain();
+    await imageDownloadQueue._drain();
+    expect(runDownload).not.toHaveBeenCalled();
+    expect(jest.getTimerCount()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(imageDownloadQueue.providerRateLimits.fanart);
+    expect(runDownload.mock.calls).toEqual([[1]]);
+  });
+});
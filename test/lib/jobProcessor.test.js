@@ -0,0 +1,88 @@
+const database = require('../../server/sql/database');
+const metaHandler = require('../../server/lib/metaHandler');
+const backgroundJobQueue = require('../../server/lib/backgroundJobQueue');
+const { processJob } = require('../../server/lib/jobProcessor');
+const fx = require('../helpers/fixtures');
+const { describeDb, setup, truncateAll, teardown } = require('../helpers/db');
+
+describeDb('jobProcessor fetch_artist_albums retries (Postgres + replayed fixtures)', () => {
+  let ensureAlbum;
+  let queueJob;
+  let singleFails;
+
+  beforeAll(setup);
+  afterAll(teardown);
+
+  beforeEach(async () => {
+    await truncateAll();
+    await metaHandler.ensureArtist(fx.ARTIST);
+
+    // The single fails until a test lets it through
+    singleFails = true;
+    ensureAlbum = jest.spyOn(metaHandler, 'ensureAlbum').mockImplementation(async mbid => {
+      if (mbid === fx.RG_SINGLE && singleFails) throw new Error('MusicBrainz is down');
+      return { needsFullFetch: false };
+    });
+    queueJob = jest.spyOn(backgroundJobQueue, 'queueJob');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // Claim the artist job and run it as the MB worker does
+  async function runAttempt() {
+    await database.query(`UPDATE metadata_jobs SET next_attempt_at = NULL WHERE job_type = 'fetch_artist_albums'`);
+    const job = await backgroundJobQueue._getNextJob(['fetch_artist_albums']);
+    ensureAlbum.mockClear();
+    queueJob.mockClear();
+    try {
+      await processJob(job);
+      await backgroundJobQueue.completeJob(job.id);
+    } catch (error) {
+      await backgroundJobQueue.failJob(job.id, error.message);
+    }
+    return (await database.query('SELECT * FROM metadata_jobs WHERE id = $1', [job.id])).rows[0];
+  }
+
+  const queueArtist = () =>
+    backgroundJobQueue.queueJob('fetch_artist_albums', 'artist', fx.ARTIST, 0, null, null, fx.ARTIST);
+  const queuedTypes = () => queueJob.mock.calls.map(([jobType]) => jobType);
+
+  test('a failed album is stored on the job and the retry redoes only that album', async () => {
+    await queueArtist();
+
+    const first = await runAttempt();
+    expect(ensureAlbum.mock.calls.map(([mbid]) => mbid).sort()).toEqual([fx.RG_ALBUM, fx.RG_SINGLE].sort());
+    expect(first).toMatchObject({ status: 'pending', attempts: 1 });
+    expect(first.metadata.failed_release_groups).toEqual([fx.RG_SINGLE]);
+
+    singleFails = false;
+    const retry = await runAttempt();
+    expect(ensureAlbum.mock.calls.map(([mbid]) => mbid)).toEqual([fx.RG_SINGLE]);
+    expect(queuedTypes()).not.toContain('fetch_artist_wiki');
+    expect(retry).toMatchObject({ status: 'completed', attempts: 2 });
+    expect(retry.metadata).not.toHaveProperty('failed_release_groups');
+  });
+
+  test('re-queueing the artist while its retry is backed off keeps the partial retry', async () => {
+    await queueArtist();
+    await runAttempt();
+
+    await queueArtist();
+    const job = (await database.query(`SELECT * FROM metadata_jobs WHERE job_type = 'fetch_artist_albums'`)).rows[0];
+    expect(job).toMatchObject({ status: 'pending', attempts: 1, next_attempt_at: expect.any(Date) });
+
+    await runAttempt();
+    expect(ensureAlbum.mock.calls.map(([mbid]) => mbid)).toEqual([fx.RG_SINGLE]);
+  });
+
+  test('re-queueing a permanently failed artist job runs the whole artist again', async () => {
+    await queueArtist();
+    await database.query(`UPDATE metadata_jobs SET max_attempts = 1 WHERE job_type = 'fetch_artist_albums'`);
+    expect(await runAttempt()).toMatchObject({ status: 'failed', attempts: 1 });
+
+    await queueArtist();
+    await runAttempt();
+    expect(ensureAlbum.mock.calls.map(([mbid]) => mbid).sort()).toEqual([fx.RG_ALBUM, fx.RG_SINGLE].sort());
+    expect(queuedTypes()).toContain('fetch_artist_wiki');
+  });
+});
@@ -0,0 +1,140 @@
+const config = require('../../server/lib/config');
+const database = require('../../server/sql/database');
+const lidarr = require('../../server/lib/lidarr');
+const metaHandler = require('../../server/lib/metaHandler');
+const fx = require('../helpers/fixtures');
+const { describeDb, setup, truncateAll, teardown } = require('../helpers/db');
+
+describe('lidarr formatting helpers', () => {
+  test('formatPartialArtist fills the old LMD shape from a search hit', () => {
+    expect(lidarr.formatPartialArtist({ id: fx.ARTIST, name: 'Fixture Band', type: 'Group' })).toEqual({
+      artistaliases: [],
+      artistname: 'Fixture Band',
+      disambiguation: '',
+      genres: [],
+      id: fx.ARTIST,
+      images: [],
+      links: [],
+      oldids: [],
+      overview: '',
+      rating: { Count: 0, Value: null },
+      sortname: 'Fixture Band',
+      status: 'active',
+      type: 'Group'
+    });
+  });
+
+  test('formatPartialAlbum pads partial dates and credits the artists', () => {
+    const album = lidarr.formatPartialAlbum({
+      id: fx.RG_SINGLE,
+      title: 'Spark',
+      primaryType: 'Single',
+      firstReleaseDate: '2001-03',
+      artistCredit: [{ artist: { id: fx.ARTIST, name: 'Fixture Band' } }]
+    });
+    expect(album).toMatchObject({ artistid: fx.ARTIST, releasedate: '2001-03-01', type: 'Single', releases: [] });
+    expect(album.artists.map(a => a.artistname)).toEqual(['Fixture Band']);
+  });
+
+  test('albumMatchesProfile checks types and release statuses', () => {
+    const profile = { primaryTypes: ['Album'], secondaryTypes: ['None'], releaseStatuses: ['Official'] };
+    expect(lidarr.albumMatchesProfile('Album', [], ['Official'], profile)).toBe(true);
+    expect(lidarr.albumMatchesProfile('Album', ['Live'], ['Official'], profile)).toBe(false);
+    expect(lidarr.albumMatchesProfile('Single', [], ['Official'], profile)).toBe(false);
+    expect(lidarr.albumMatchesProfile('Album', [], ['Bootleg'], profile)).toBe(false);
+    // Releases not fetched yet — no statuses to judge by
+    expect(lidarr.albumMatchesProfile('Album', [], [], profile)).toBe(true);
+  });
+
+  test('applyProfileToAlbum never strips every release', () => {
+    const album = { id: fx.RG_ALBUM, images: [], artists: [], releases: [{ id: fx.REL_BOOTLEG, status: 'Bootleg' }] };
+    expect(lidarr.applyProfileToAlbum(album, { releaseStatuses: ['Official'] }).releases).toEqual(album.releases);
+    expect(lidarr.applyProfileToAlbum(album, { releaseStatuses: ['Bootleg'] }).releases).toEqual(album.releases);
+  });
+});
+
+describeDb('lidarr formatting (Postgres + replayed fixtures)', () => {
+  beforeAll(setup);
+  afterAll(teardown);
+  beforeEach(async () => {
+    await truncateAll();
+    await metaHandler.ensureArtist(fx.ARTIST);
+  });
+
+  const completeAlbumFetch = () => database.query(`
+    INSERT INTO metadata_jobs (job_type, entity_type, entity_mbid, status)
+    VALUES ('fetch_artist_albums', 'artist', $1, 'completed')
+  `, [fx.ARTIST]);
+
+  test('formatArtist returns the old LMD artist shape', async () => {
+    const artist = await lidarr.formatArtist(fx.ARTIST);
+
+    expect(Object.keys(artist)).toEqual([
+      'Albums', 'artistaliases', 'artistname', 'disambiguation', 'genres', 'id', 'images',
+      'links', 'oldids', 'overview', 'rating', 'sortname', 'status', 'type'
+    ]);
+    expect(artist).toMatchObject({
+      artistaliases: ['The Fixture Band'],
+      artistname: 'Fixture Band',
+      genres: ['Indie Rock'],
+      links: [{ target: 'https://fixture-band.example/', type: 'official homepage' }],
+      rating: { Count: 0, Value: 4.5 },
+      status: 'active',
+      type: 'Group'
+    });
+  });
+
+  test('formatArtist lists albums only once fetch_artist_albums has completed', async () => {
+    expect((await lidarr.formatArtist(fx.ARTIST)).Albums).toEqual([]);
+
+    await completeAlbumFetch();
+    const { Albums } = await lidarr.formatArtist(fx.ARTIST);
+    expect(Albums.map(a => [a.Id, a.Type, a.SecondaryTypes])).toEqual([
+      [fx.RG_LIVE, 'Album', ['Live']],
+      [fx.RG_ALBUM, 'Album', []],
+      [fx.RG_SINGLE, 'Single', []]
+    ]);
+  });
+
+  test('formatArtist appends group members when metadata.overviewMembers is on', async () => {
+    config.set('metadata.overviewMembers', true);
+    try {
+      expect((await lidarr.formatArtist(fx.ARTIST)).overview).toBe('Members: Fixture Singer (1998–)');
+    } finally {
+      config.set('metadata.overviewMembers', false);
+    }
+  });
+
+  test('membership dates come back as text so years do not shift with the local timezone', async () => {
+    const [member] = await database.getArtistMembers(fx.ARTIST);
+    expect(member).toMatchObject({ member_name: 'Fixture Singer', begin_date: '1998-01-01', end_date: null });
+  });
+
+  test('formatAlbum returns releases with media and tracks', async () => {
+    await metaHandler.ensureAlbum(fx.RG_ALBUM);
+    const album = await lidarr.formatAlbum(fx.RG_ALBUM);
+
+    expect(album).toMatchObject({
+      artistid: fx.ARTIST,
+      releasedate: '2001-05-14',
+      title: 'First Light',
+      type: 'Album',
+      secondarytypes: []
+    });
+    // Only the first credited artist of each track is listed — the featured guest is not
+    expect(album.artists.map(a => a.id)).toEqual([fx.ARTIST]);
+
+    const [release] = album.releases;
+    expect(release).toMatchObject({
+      id: fx.REL_OFFICIAL,
+      status: 'Official',
+      country: ['GB'],
+      label: ['Fixture Records'],
+      track_count: 2
+    });
+    expect(release.tracks.map(t => [t.id, t.recordingid, t.trackname])).toEqual([
+      [fx.TRACK_OPENING, fx.REC_OPENING, 'Opening'],
+      [expect.any(String), fx.REC_CLOSING, 'Closing']
+    ]);
+  });
+});
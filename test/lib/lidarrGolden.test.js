@@ -0,0 +1,74 @@
+const lidarr = require('../../server/lib/lidarr');
+const metaHandler = require('../../server/lib/metaHandler');
+const fx = require('../helpers/fixtures');
+const { describeDb, setup, truncateAll, teardown } = require('../helpers/db');
+const { seedGoldenDatabase, loadGolden, listCaptured, structureDiff } = require('../helpers/golden');
+
+// Snapshots of the current responses in test/fixtures/golden, hand-written to the old LMD format
+// (not captured from old LMD). A failing case means Lidarr or Tubifarry would see a different
+// document — fix the formatter unless the change is intended. Real old LMD responses go in
+// test/fixtures/golden/captured (see test/captureGolden.js) and are checked further down.
+const CASES = [
+  ['artist with albums, images and merged IDs', 'artist-fixture-band.json', () => lidarr.formatArtist(fx.ARTIST)],
+  ['album with releases and tracks', 'album-first-light.json', () => lidarr.formatAlbum(fx.RG_ALBUM)],
+  ['album without releases, partial date', 'album-spark.json', () => lidarr.formatAlbum(fx.RG_SINGLE)],
+  ['undated album, no images', 'album-demos.json', () => lidarr.formatAlbum(fx.RG_DEMOS)]
+];
+
+describe('structureDiff', () => {
+  test('reports field names, order, types and values by path', () => {
+    const golden = { b: 1, a: [{ Url: 'x' }], c: null };
+    expect(structureDiff({ b: 1, a: [{ Url: 'x' }], c: null }, golden)).toEqual([]);
+    expect(structureDiff({ a: [{ Url: 'x' }], b: 1, c: null }, golden)).toEqual(['$: field order a, b, c — expected b, a, c']);
+    expect(structureDiff({ b: '1', a: [{ url: 'x' }], c: null, d: 0 }, golden)).toEqual([
+      '$: unexpected d',
+      '$.b: expected number, got string',
+      '$.a[0]: missing Url',
+      '$.a[0]: unexpected url'
+    ]);
+    expect(structureDiff({ b: 2, a: [], c: null }, golden)).toEqual(['$.b: expected 1, got 2', '$.a: expected 1 items, got 0']);
+  });
+
+  test('with values off, only names, order and types count', () => {
+    const golden = { b: 1, a: [{ Url: 'x' }, { Url: 'y' }], c: null };
+    expect(structureDiff({ b: 2, a: [{ Url: 'z' }], c: null }, golden, { values: false })).toEqual([]);
+    expect(structureDiff({ b: '1', a: [{ url: 'x' }], c: null }, golden, { values: false })).toEqual([
+      '$.b: expected number, got string',
+      '$.a[0]: missing Url',
+      '$.a[0]: unexpected url'
+    ]);
+  });
+});
+
+describeDb('Lidarr responses match the golden snapshots', () => {
+  beforeAll(async () => {
+    await setup();
+    await truncateAll();
+    await seedGoldenDatabase();
+  });
+  afterAll(teardown);
+
+  test.each(CASES)('%s (%s)', async (name, file, format) => {
+    expect(structureDiff(await format(), loadGolden(file))).toEqual([]);
+  });
+
+  // Seeded from the MusicBrainz responses recorded alongside each capture; none are checked in yet
+  const captured = listCaptured();
+  if (captured.length > 0) {
+    describe('captured old LMD responses (shape only)', () => {
+      beforeAll(truncateAll);
+
+      test.each(captured)('$kind $mbid', async ({ kind, mbid, file }) => {
+        let actual;
+        if (kind === 'artist') {
+          await metaHandler.ensureArtist(mbid);
+          actual = await lidarr.formatArtist(mbid);
+        } else {
+          await metaHandler.ensureAlbum(mbid);
+          actual = await lidarr.formatAlbum(mbid);
+        }
+        expect(structureDiff(actual, loadGolden(file), { values: false })).toEqual([]);
+      });
+    });
+  }
+});
@@ -0,0 +1,154 @@
+const database = require('../../server/sql/database');
+const metaHandler = require('../../server/lib/metaHandler');
+const { registry } = require('../../server/lib/providerRegistry');
+const fx = require('../helpers/fixtures');
+const { describeDb, setup, truncateAll, teardown } = require('../helpers/db');
+
+describe('metaHandler release type filters', () => {
+  test('matchesAlbumTypeFilter treats Studio as a plain Album', () => {
+    expect(metaHandler.matchesAlbumTypeFilter('Album', [])).toBe(true);
+    expect(metaHandler.matchesAlbumTypeFilter('Album', ['Live'])).toBe(false);
+    expect(metaHandler.matchesAlbumTypeFilter('Single', [])).toBe(true);
+    expect(metaHandler.matchesAlbumTypeFilter('Broadcast', [])).toBe(false);
+  });
+
+  test('matchesStatusFilter defaults to Official only', () => {
+    expect(metaHandler.matchesStatusFilter({ status: 'Official' })).toBe(true);
+    expect(metaHandler.matchesStatusFilter({ status: 'Bootleg' })).toBe(false);
+    expect(metaHandler.matchesStatusFilter({})).toBe(false);
+  });
+});
+
+describeDb('metaHandler (Postgres + replayed fixtures)', () => {
+  beforeAll(setup);
+  afterAll(teardown);
+  beforeEach(truncateAll);
+
+  describe('ensureArtist', () => {
+    test('stores the artist, its relationships and every release group', async () => {
+      await metaHandler.ensureArtist(fx.ARTIST);
+
+      const artist = await database.getArtist(fx.ARTIST);
+      expect(artist).toMatchObject({ name: 'Fixture Band', type: 'Group', country: 'GB' });
+
+      const members = await database.getArtistMembers(fx.ARTIST);
+      expect(members).toEqual([expect.objectContaining({
+        member_mbid: fx.MEMBER,
+        member_name: 'Fixture Singer',
+        group_mbid: fx.ARTIST
+      })]);
+
+      const albums = await database.query(
+        'SELECT release_group_mbid FROM artist_release_groups WHERE artist_mbid = $1 ORDER BY release_group_mbid',
+        [fx.ARTIST]
+      );
+      expect(albums.rows.map(r => r.release_group_mbid)).toEqual([fx.RG_ALBUM, fx.RG_LIVE, fx.RG_SINGLE]);
+    });
+
+    test('serves a stored artist without refetching', async () => {
+      await metaHandler.ensureArtist(fx.ARTIST);
+      await database.query(`UPDATE artists SET name = 'Renamed Locally' WHERE mbid = $1`, [fx.ARTIST]);
+
+      const formatted = await metaHandler.ensureArtist(fx.ARTIST);
+      expect(formatted.artistname).toBe('Renamed Locally');
+    });
+
+    test('rejects an artist MusicBrainz does not know', async () => {
+      await expect(metaHandler.ensureArtist(fx.MISSING_ARTIST)).rejects.toThrow('Resource not found');
+      expect(await database.getArtist(fx.MISSING_ARTIST)).toBeUndefined();
+    });
+  });
+
+  describe('ensureAlbum', () => {
+    beforeEach(() => metaHandler.ensureArtist(fx.ARTIST));
+
+    test('stores official releases with tracks, recording credits and labels', async () => {
+      const { formatted, needsFullFetch } = await metaHandler.ensureAlbum(fx.RG_ALBUM);
+
+      expect(needsFullFetch).toBe(false);
+      expect(formatted.releases.map(r => r.id)).toEqual([fx.REL_OFFICIAL]);
+
+      const credits = await database.getRecordingCredits([fx.REC_OPENING, fx.REC_CLOSING]);
+      expect(credits.get(fx.REC_OPENING).isrcs).toEqual(['GBXXX0100001']);
+      expect(credits.get(fx.REC_OPENING).works).toEqual([expect.objectContaining({
+        mbid: fx.WORK,
+        title: 'Opening',
+        credits: [expect.objectContaining({ mbid: fx.MEMBER, role: 'composer' })]
+      })]);
+      expect(credits.get(fx.REC_CLOSING).artists.map(a => [a.mbid, a.join_phrase])).toEqual([
+        [fx.ARTIST, ' feat. '],
+        [fx.GUEST, '']
+      ]);
+
+      // MBIDs are matched case-insensitively, keys come back lowercase
+      const upper = await database.getRecordingCredits([fx.REC_OPENING.toUpperCase()]);
+      expect(upper.get(fx.REC_OPENING).isrcs).toEqual(['GBXXX0100001']);
+
+      // label-info only carries a name, so the label is a stub until fetched
+      const label = await database.getLabel(fx.LABEL);
+      expect(label).toMatchObject({ name: 'Fixture Records', ttl_expires_at: null });
+      const labelReleases = await database.getLabelReleases(fx.LABEL);
+      expect(labelReleases.map(r => [r.mbid, r.catalog_number])).toEqual([[fx.REL_OFFICIAL, 'FIX-001']]);
+    });
+
+    test('stores at most 10 releases inline and leaves the rest to fetch_album_full', async () => {
+      const releases = Array.from({ length: 12 }, (_, i) => ({ id: `release-${i}`, status: 'Official' }));
+      jest.spyOn(registry.getProvider('musicbrainz'), 'browseReleaseGroupReleases')
+        .mockResolvedValue({ total: releases.length, releases });
+      const storeRelease = jest.spyOn(metaHandler, 'storeRelease').mockResolvedValue();
+
+      try {
+        const page = await metaHandler.fetchFirstReleasePage(fx.RG_ALBUM);
+        expect(storeRelease).toHaveBeenCalledTimes(10);
+        expect(page).toMatchObject({ complete: true, needsFullFetch: true });
+        expect(page.releaseIds).toHaveLength(12);
+      } finally {
+        jest.restoreAllMocks();
+      }
+    });
+
+    describe('replaced tracks', () => {
+      const NEW_TRACK = '0f1e7a00-0000-4000-8000-000000000499';
+      const NEW_RECORDING = '0f1e7a00-0000-4000-8000-000000000399';
+
+      // The stored tracklist of the official release with "Opening" replaced by a new track and recording
+      async function replaceOpening() {
+        await metaHandler.ensureAlbum(fx.RG_ALBUM);
+        const stored = await database.query(
+          'SELECT mbid, recording_mbid, medium_number, position FROM tracks WHERE release_mbid = $1', [fx.REL_OFFICIAL]
+        );
+        const tracks = stored.rows.map(row => row.mbid === fx.TRACK_OPENING
+          ? { id: NEW_TRACK, position: row.position, recording: { id: NEW_RECORDING } }
+          : { id: row.mbid, position: row.position, recording: { id: row.recording_mbid } });
+        await metaHandler.recordSupersededTracks(fx.REL_OFFICIAL, [{ position: stored.rows[0].medium_number, tracks }]);
+      }
+
+      afterEach(() => jest.restoreAllMocks());
+
+      test('a different recording at the same position is a correction, not a merge', async () => {
+        jest.spyOn(registry.getProvider('musicbrainz'), 'getRecording').mockResolvedValue({ id: fx.REC_OPENING });
+        await replaceOpening();
+
+        expect(await database.resolveRedirect(fx.TRACK_OPENING, 'track')).toBe(fx.TRACK_OPENING);
+        expect(await database.resolveRedirect(fx.REC_OPENING, 'recording')).toBe(fx.REC_OPENING);
+        const tracks = await database.query('SELECT 1 FROM tracks WHERE mbid = $1', [fx.TRACK_OPENING]);
+        expect(tracks.rows).toHaveLength(0);
+      });
+
+      test('a track whose recording MB merged into the new one becomes a redirect', async () => {
+        jest.spyOn(registry.getProvider('musicbrainz'), 'getRecording').mockResolvedValue({ id: NEW_RECORDING });
+        await replaceOpening();
+
+        expect(await database.resolveRedirect(fx.TRACK_OPENING, 'track')).toBe(NEW_TRACK);
+      });
+    });
+
+    test('serves an album within its TTL from the database', async () => {
+      await metaHandler.ensureAlbum(fx.RG_ALBUM);
+      await database.query(`UPDATE release_groups SET title = 'Stored Title' WHERE mbid = $1`, [fx.RG_ALBUM]);
+
+      const { formatted } = await metaHandler.ensureAlbum(fx.RG_ALBUM);
+      expect(formatted.title).toBe('Stored Title');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const config = require('../../server/lib/config');
+const database = require('../../server/sql/database');
+const { lidarrSearch, startSearchCacheCleanup, stopSearchCacheCleanup } = require('../../server/lib/search');
+const metaHandler = require('../../server/lib/metaHandler');
+const { registry } = require('../../server/lib/providerRegistry');
+const fx = require('../helpers/fixtures');
+const { describeDb, setup, truncateAll, teardown } = require('../helpers/db');
+
+describe('lidarrSearch argument checks', () => {
+  test('requires a single query string, a supported type and mode', async () => {
+    expect(await lidarrSearch('x')).toEqual({ error: 'Type not provided', status: 400 });
+    expect(await lidarrSearch(['x', 'y'], 'artist')).toEqual({ error: 'query must be given once, as a string', status: 400 });
+    expect(await lidarrSearch('x', 'label')).toEqual({ error: 'Unsupported search type label', status: 400 });
+    expect(await lidarrSearch('x', 'artist', { mode: 'fuzzy' })).toEqual({ error: 'Unsupported search mode fuzzy', status: 400 });
+  });
+});
+
+describe('search cache cleanup', () => {
+  test('runs one hourly cleanup until stopped', () => {
+    jest.useFakeTimers();
+    const cleanup = jest.spyOn(database, 'cleanupSearchCache').mockResolvedValue(0);
+    try {
+      const interval = startSearchCacheCleanup();
+      expect(startSearchCacheCleanup()).toBe(interval);
+      expect(jest.getTimerCount()).toBe(1);
+
+      jest.advanceTimersByTime(3600000);
+      expect(cleanup).toHaveBeenCalledTimes(2);
+
+      stopSearchCacheCleanup();
+      expect(jest.getTimerCount()).toBe(0);
+    } finally {
+      cleanup.mockRestore();
+      jest.useRealTimers();
+    }
+  });
+});
+
+describeDb('lidarrSearch (Postgres + replayed fixtures)', () => {
+  beforeAll(setup);
+  afterAll(teardown);
+  beforeEach(truncateAll);
+
+  // search_cache is written in the background after the response is built
+  async function cachedSearches() {
+    for (let i = 0; i < 50; i++) {
+      const result = await database.query('SELECT search_type, query FROM search_cache');
+      if (result.rows.length > 0) return result.rows;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return [];
+  }
+
+  test('type=artist hydrates MusicBrainz hits and caches the response', async () => {
+    const results = await lidarrSearch('fixture band', 'artist');
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ id: fx.ARTIST, artistname: 'Fixture Band', type: 'Group' });
+    expect(results[0].Albums).toBeUndefined();
+    expect(await database.getArtist(fx.ARTIST)).toMatchObject({ name: 'Fixture Band' });
+
+    expect(await cachedSearches()).toEqual([{ search_type: 'artist', query: 'fixture band' }]);
+    await database.query('DELETE FROM artists');
+    expect(await lidarrSearch(' Fixture Band', 'artist')).toEqual(results);
+  });
+
+  test('type=album stores the release group and leaves out releases unless asked', async () => {
+    const [album] = await lidarrSearch('first light', 'album');
+    expect(album).toMatchObject({ id: fx.RG_ALBUM, title: 'First Light', releases: [] });
+
+    const [withTracks] = await lidarrSearch('first light', 'album', { includeTracks: true });
+    expect(withTracks.releases.map(r => r.id)).toEqual([fx.REL_OFFICIAL]);
+  });
+
+  test('type=all sorts artists and albums together by score', async () => {
+    const results = await lidarrSearch('fixture band', 'all');
+    expect(results.map(r => [r.score, !!r.artist, !!r.album])).toEqual([[100, true, false]]);
+  });
+
+  test('the local search indexes are built', () => {
+    expect(database.localSearchAvailable).toBe(true);
+  });
+
+  test('mode=local answers from the cached library without asking MusicBrainz', async () => {
+    await metaHandler.ensureArtist(fx.ARTIST);
+    const mbSearch = jest.spyOn(registry.getProvider('musicbrainz'), 'searchArtist');
+
+    try {
+      const results = await lidarrSearch('fixture', 'artist', { mode: 'local' });
+      expect(results.map(a => a.id)).toEqual([fx.ARTIST]);
+      expect(mbSearch).not.toHaveBeenCalled();
+    } finally {
+      mbSearch.mockRestore();
+    }
+  });
+
+  test('local hits are returned in full even when the time budget is already spent', async () => {
+    await metaHandler.ensureArtist(fx.ARTIST);
+    const budgetMs = config.get('search.timeBudgetMs');
+    config.set('search.timeBudgetMs', 0);
+
+    try {
+      const results = await lidarrSearch('fixture', 'artist', { mode: 'local' });
+      expect(results).toEqual([expect.objectContaining({ id: fx.ARTIST, artistname: 'Fixture Band', overview: expect.any(String) })]);
+    } finally {
+      config.set('search.timeBudgetMs', budgetMs);
+    }
+  });
+
+  test('a metadata profile filters a cached response', async () => {
+    await lidarrSearch('first light', 'album');
+    expect(await lidarrSearch('first light', 'album', { profile: { primaryTypes: ['Single'] } })).toEqual([]);
+  });
+});
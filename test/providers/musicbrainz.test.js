@@ -0,0 +1,192 @@
+const MusicBrainzProvider = require('../../server/providers/musicbrainz');
+const fx = require('../helpers/fixtures');
+
+describe('MusicBrainzProvider (replayed fixtures)', () => {
+  let provider;
+
+  beforeAll(async () => {
+    provider = new MusicBrainzProvider({});
+    await provider.initialize();
+  });
+
+  test('normalizes an artist lookup', async () => {
+    const artist = await provider.getArtist(fx.ARTIST);
+
+    expect(artist).toMatchObject({
+      id: fx.ARTIST,
+      name: 'Fixture Band',
+      type: 'Group',
+      beginDate: '1998-01-01',
+      status: 'active',
+      aliases: ['The Fixture Band'],
+      genres: ['indie rock'],
+      rating: 4.5,
+      links: [{ type: 'official homepage', url: 'https://fixture-band.example/' }]
+    });
+    expect(artist.relationships).toEqual([{
+      type: 'member of band',
+      direction: 'backward',
+      artist: { id: fx.MEMBER, name: 'Fixture Singer', type: 'Person' },
+      attributes: ['lead vocals'],
+      beginDate: '1998-01-01',
+      endDate: null,
+      ended: false
+    }]);
+  });
+
+  test('pages through an artist\'s release groups', async () => {
+    const albums = await provider.getArtistAlbums(fx.ARTIST);
+    expect(albums.map(a => a.id)).toEqual([fx.RG_ALBUM, fx.RG_LIVE, fx.RG_SINGLE]);
+    expect(albums[1]).toMatchObject({ primaryType: 'Album', secondaryTypes: ['Live'] });
+  });
+
+  test('browses the releases of a release group', async () => {
+    const page = await provider.browseReleaseGroupReleases(fx.RG_ALBUM);
+    expect(page.total).toBe(2);
+    expect(page.releases.map(r => [r.id, r.status, r.date])).toEqual([
+      [fx.REL_OFFICIAL, 'Official', '2001-05-14'],
+      [fx.REL_BOOTLEG, 'Bootleg', '2001-01-01']
+    ]);
+    expect(page.releases[0].releaseGroupId).toBe(fx.RG_ALBUM);
+  });
+
+  test('maps a recorded 404 to "Resource not found"', async () => {
+    await expect(provider.getArtist(fx.MISSING_ARTIST)).rejects.toMatchObject({
+      message: 'MusicBrainz: Resource not found',
+      status: 404
+    });
+  });
+
+  test('reports a missing fixture instead of retrying', async () => {
+    await expect(provider.getLabel(fx.LABEL)).rejects.toThrow(/No HTTP fixture for GET musicbrainz.org\/ws\/2\/label/);
+  });
+});
+
+describe('request cancellation', () => {
+  test('aborting a request queued in the rate limiter is not a server failure', async () => {
+    // Paced clients are only built outside replay mode; the request never leaves the limiter
+    const mode = process.env.NULMD_HTTP_FIXTURES;
+    delete process.env.NULMD_HTTP_FIXTURES;
+    const paced = new MusicBrainzProvider({
+      servers: [
+        { name: 'primary', url: 'http://mb-primary.invalid/ws/2', rateLimitMs: 1000 },
+        { name: 'backup', url: 'http://mb-backup.invalid/ws/2', rateLimitMs: 1000 }
+      ]
+    });
+    try {
+      await paced.initialize();
+    } finally {
+      process.env.NULMD_HTTP_FIXTURES = mode;
+      clearInterval(paced.healthTimer);
+    }
+    for (const server of paced.servers) server.rateLimiter.tokens = 0;
+
+    const controller = new AbortController();
+    const request = paced.client.get(`/release-group/${fx.RG_ALBUM}`, { signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(paced.servers[0].rateLimiter.getState().waiting).toBe(1);
+
+    controller.abort();
+    await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+    expect(paced.servers.map(s => [s.healthy, s.failures])).toEqual([[true, 0], [true, 0]]);
+  });
+});
+
+describe('failover', () => {
+  let provider;
+
+  beforeEach(async () => {
+    provider = new MusicBrainzProvider({});
+    await provider.initialize();
+  });
+
+  function server(name, get, rateLimiter = null) {
+    return { name, client: { get }, rateLimiter, healthy: true, failures: 0, served: 0 };
+  }
+
+  const httpError = status => Object.assign(new Error(`HTTP ${status}`), { status });
+
+  test.each([503, 429])('a %i from a rate-limited server is left to its limiter', async status => {
+    const backup = jest.fn().mockResolvedValue({ data: {} });
+    provider.servers = [
+      server('primary', jest.fn().mockRejectedValue(httpError(status)), { getState: () => ({}) }),
+      server('backup', backup)
+    ];
+
+    await expect(provider.client.get('/artist/x')).rejects.toMatchObject({ status });
+    expect(provider.servers.map(s => [s.healthy, s.failures])).toEqual([[true, 0], [true, 0]]);
+    expect(backup).not.toHaveBeenCalled();
+  });
+
+  test('a 503 from an unpaced server fails over and marks it unhealthy', async () => {
+    const backup = jest.fn().mockResolvedValue({ data: {} });
+    provider.servers = [
+      server('primary', jest.fn().mockRejectedValue(httpError(503))),
+      server('backup', backup)
+    ];
+
+    await expect(provider.client.get('/artist/x')).resolves.toEqual({ data: {} });
+    expect(provider.servers.map(s => [s.healthy, s.failures])).toEqual([[false, 1], [true, 0]]);
+  });
+});
+
+describe('cachedRequest cancellation', () => {
+  let provider;
+
+  beforeAll(async () => {
+    provider = new MusicBrainzProvider({});
+    await provider.initialize();
+  });
+
+  // A request that only settles when released, exposing the signal it was given
+  function pendingRequest() {
+    const request = {};
+    request.fn = signal => new Promise(resolve => {
+      request.signal = signal;
+      request.resolve = resolve;
+    });
+    return request;
+  }
+
+  test('an aborted caller gives up while another caller still gets the result', async () => {
+    const request = pendingRequest();
+    const caller = new AbortController();
+    const aborted = provider.cachedRequest('test:abort-one', request.fn, null, caller.signal);
+    const other = provider.cachedRequest('test:abort-one', request.fn, null, new AbortController().signal);
+
+    caller.abort();
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    expect(request.signal.aborted).toBe(false);
+
+    request.resolve('result');
+    await expect(other).resolves.toBe('result');
+  });
+
+  test('the shared request is aborted once every caller has aborted', async () => {
+    const request = pendingRequest();
+    const first = new AbortController();
+    const second = new AbortController();
+    const calls = [first, second].map(c => provider.cachedRequest('test:abort-all', request.fn, null, c.signal));
+
+    first.abort();
+    second.abort();
+    await Promise.allSettled(calls);
+
+    expect(request.signal.aborted).toBe(true);
+    expect(provider.inFlight.has('test:abort-all')).toBe(false);
+  });
+
+  test('a caller without a signal keeps the request alive', async () => {
+    const request = pendingRequest();
+    const caller = new AbortController();
+    const pinned = provider.cachedRequest('test:abort-pinned', request.fn);
+    const aborted = provider.cachedRequest('test:abort-pinned', request.fn, null, caller.signal);
+
+    caller.abort();
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    expect(request.signal.aborted).toBe(false);
+
+    request.resolve('result');
+    await expect(pinned).resolves.toBe('result');
+  });
+});
@@ -0,0 +1,10 @@
+const os = require('os');
+const path = require('path');
+
+// Tests never touch the network: provider HTTP is served from test/fixtures/http
+process.env.NULMD_HTTP_FIXTURES = 'replay';
+process.env.NULMD_HTTP_FIXTURES_DIR = process.env.NULMD_HTTP_FIXTURES_DIR || path.join(__dirname, 'fixtures/http');
+
+// A throwaway default config per run, built from the POSTGRES_* environment
+process.env.CONFIG_PATH = path.join(os.tmpdir(), `nulmd-test-${process.pid}`, 'config.yml');
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
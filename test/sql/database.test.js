@@ -0,0 +1,84 @@
+const database = require('../../server/sql/database');
+const { Client } = require('pg');
+
+// A LISTEN connection that never touches a server — tests drop it by emitting 'end'
+jest.mock('pg', () => {
+  const { EventEmitter } = require('events');
+
+  class Client extends EventEmitter {
+    constructor() {
+      super();
+      this.queries = [];
+      Client.instances.push(this);
+    }
+    async connect() {
+      if (Client.refuseConnections) throw new Error('connection refused');
+    }
+    async query(sql) {
+      this.queries.push(sql);
+      return { rows: [] };
+    }
+    async end() {}
+    escapeIdentifier(name) {
+      return `"${name}"`;
+    }
+  }
+  Client.instances = [];
+  Client.refuseConnections = false;
+
+  return { Client, Pool: jest.fn() };
+});
+
+describe('database LISTEN / NOTIFY listener', () => {
+  const handler = jest.fn();
+
+  beforeAll(async () => {
+    jest.useFakeTimers();
+    await database.listen('nulmd_jobs', handler);
+  });
+
+  afterAll(async () => {
+    await database.close();
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => handler.mockClear());
+
+  test('listens on the channel and passes notifications to the handler', async () => {
+    const [client] = Client.instances;
+    expect(client.queries).toEqual(['LISTEN "nulmd_jobs"']);
+
+    client.emit('notification', { channel: 'nulmd_jobs', payload: 'fetch_album_full' });
+    await Promise.resolve();
+    expect(handler).toHaveBeenCalledWith('fetch_album_full');
+  });
+
+  test('reconnects after the connection drops, re-listens and calls handlers to catch up', async () => {
+    const dropped = database.listenClient;
+    dropped.emit('end');
+    expect(database.listenClient).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(5000);
+
+    const client = Client.instances.at(-1);
+    expect(client).not.toBe(dropped);
+    expect(database.listenClient).toBe(client);
+    expect(client.queries).toEqual(['LISTEN "nulmd_jobs"']);
+    expect(handler.mock.calls).toEqual([[null]]);
+  });
+
+  test('keeps retrying while the server is unreachable, and only catches up once connected', async () => {
+    Client.refuseConnections = true;
+    database.listenClient.emit('error', new Error('terminating connection'));
+
+    await jest.advanceTimersByTimeAsync(5000);
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(database.listenClient).toBeNull();
+    expect(handler).not.toHaveBeenCalled();
+
+    Client.refuseConnections = false;
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(database.listenClient).toBe(Client.instances.at(-1));
+    expect(handler.mock.calls).toEqual([[null]]);
+  });
+});